@@ -70,9 +70,10 @@ class CartItems extends HTMLElement {
   constructor() {
     super();
 
+    // Changes are applied immediately and coalesced in updateQuantity, so no debounce here
     this.addEventListener('change', (event) => {
       if (event.target && event.target.closest('quantity-input')) {
-        FoxTheme.utils.debounce(this.onChange(event), 300);
+        this.onChange(event);
       }
     });
     this.cartUpdateUnsubscriber = FoxTheme.pubsub.subscribe(
@@ -142,6 +143,16 @@ class CartItems extends HTMLElement {
 
   cartUpdateUnsubscriber = undefined;
 
+  // Quantity changes waiting for the next request, by line item key
+  pendingUpdates = new Map();
+  // Last quantity the server accepted, by line item key - used to roll back
+  confirmedQuantities = new Map();
+  requestQueue = Promise.resolve();
+  requestsInFlight = 0;
+  lastCartState = null;
+  flushTimer = undefined;
+  batchDelay = 400;
+
   disconnectedCallback() {
     if (this.cartUpdateUnsubscriber) {
       this.cartUpdateUnsubscriber();
@@ -251,14 +262,6 @@ class CartItems extends HTMLElement {
         ? FoxTheme.a11y.trapFocus(cartDrawer, cartDrawer.querySelector('.cart-item__title'))
         : FoxTheme.a11y.trapFocus(mainCart, mainCart.querySelector('.cart-item__title'));
     }
-
-    document.dispatchEvent(
-      new CustomEvent('cart:updated', {
-        detail: {
-          cart: event.cart,
-        },
-      })
-    );
   }
 
   onCartError(errors, target) {
@@ -273,34 +276,160 @@ class CartItems extends HTMLElement {
     alert(errors);
   }
 
+  /**
+   * Apply a quantity change on screen straight away and queue it for the next request.
+   * Changes made within `batchDelay` of each other are sent as one /cart/update.js call.
+   */
   updateQuantity(line, quantity, name, target) {
-    this.showLoader(line);
+    const lineItem = this.getLineItem(line);
+    const key = lineItem && lineItem.dataset.lineKey;
+    if (!key) return;
 
-    let sectionsToBundle = [];
-    document.documentElement.dispatchEvent(
-      new CustomEvent('cart:grouped-sections', { bubbles: true, detail: { sections: sectionsToBundle } })
-    );
+    if (!this.confirmedQuantities.has(key)) {
+      this.confirmedQuantities.set(key, parseInt(lineItem.dataset.quantity));
+    }
+
+    this.pendingUpdates.set(key, { line, quantity, name, target });
+    this.renderQuantity(lineItem, quantity);
+    if (quantity === 0) this.showLoader(line);
+
+    clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(this.flushUpdates.bind(this), this.batchDelay);
+  }
+
+  getLineItem(line) {
+    return this.querySelector(`#CartItem-${line}, #CartDrawer-Item-${line}`);
+  }
+
+  getLineItemsByKey(key) {
+    return document.querySelectorAll(`.cart-item[data-line-key="${CSS.escape(key)}"]`);
+  }
+
+  renderQuantity(lineItem, quantity) {
+    lineItem.querySelectorAll('input[name="updates[]"]').forEach((input) => {
+      if (parseInt(input.value) !== quantity) input.value = quantity;
+    });
+    lineItem.classList.toggle('cart-item--removing', quantity === 0);
+    lineItem.setAttribute('aria-busy', 'true');
+    this.hideLineError(lineItem);
+  }
+
+  flushUpdates() {
+    if (this.pendingUpdates.size === 0) return;
+
+    const batch = new Map(this.pendingUpdates);
+    this.pendingUpdates.clear();
+    this.requestsInFlight++;
+
+    // Chained so a burst is only sent once the previous response has been handled
+    this.requestQueue = this.requestQueue
+      .then(() => this.sendUpdates(batch))
+      .finally(() => {
+        this.requestsInFlight--;
+      });
+  }
+
+  async sendUpdates(batch) {
+    const updates = {};
+    batch.forEach(({ quantity }, key) => {
+      updates[key] = quantity;
+    });
+
+    try {
+      const removedLines = await this.getRemovedLines(batch);
+
+      // Rendered below, once no later changes are waiting
+      const parsedState = await FoxTheme.cart.update({ updates }, { render: false });
+
+      batch.forEach((_, key) => {
+        const item = parsedState.items.find((cartItem) => cartItem.key === key);
+        this.confirmedQuantities.set(key, item ? item.quantity : 0);
+      });
+      this.lastCartState = parsedState;
+
+      if (removedLines.length > 0) CartUndoToast.getInstance().show(removedLines);
+
+      // Later changes are still on their way - rendering now would undo them on screen
+      if (this.pendingUpdates.size > 0 || this.requestsInFlight > 1) return;
+
+      this.publishCartState(parsedState, batch);
+    } catch (error) {
+      console.error(error);
+      this.rollbackUpdates(batch, error.message || FoxTheme.cartStrings.error);
+    }
+  }
 
-    const body = JSON.stringify({
+  /**
+   * Snapshot the lines a batch removes, in a form /cart/add.js accepts
+   */
+  async getRemovedLines(batch) {
+    const keys = Array.from(batch.keys()).filter((key) => batch.get(key).quantity === 0);
+    if (keys.length === 0) return [];
+
+    const cart = await FoxTheme.cart.get();
+
+    return cart.items
+      .filter((item) => keys.includes(item.key))
+      .map((item) => ({
+        id: item.variant_id,
+        quantity: item.quantity,
+        properties: item.properties || {},
+        selling_plan: item.selling_plan_allocation ? item.selling_plan_allocation.selling_plan.id : undefined,
+        title: item.product_title,
+      }));
+  }
+
+  publishCartState(cart, batch) {
+    const { line, name, target } = Array.from(batch.values()).pop();
+    this.confirmedQuantities.clear();
+    this.lastCartState = null;
+
+    FoxTheme.cart.render(cart, {
+      sources: 'cart-items',
+      target,
       line,
-      quantity,
-      sections: sectionsToBundle,
+      name,
     });
+  }
 
-    fetch(`${FoxTheme.routes.cart_change_url}`, { ...FoxTheme.utils.fetchConfig(), ...{ body } })
-      .then((response) => response.json())
-      .then((parsedState) => {
-        FoxTheme.pubsub.publish(FoxTheme.pubsub.PUB_SUB_EVENTS.cartUpdate, {
-          sources: 'cart-items',
-          cart: parsedState,
-          target,
-          line,
-          name,
-        });
-      })
-      .catch((error) => {
-        console.log(error);
+  /**
+   * Restore the lines in a failed batch to their last accepted quantity and explain why
+   */
+  rollbackUpdates(batch, message) {
+    const isLastRequest = this.pendingUpdates.size === 0 && this.requestsInFlight <= 1;
+
+    if (isLastRequest && this.lastCartState) {
+      // Earlier batches succeeded without re-rendering - render the server's cart, which excludes this batch
+      this.publishCartState(this.lastCartState, batch);
+    } else {
+      batch.forEach(({ line }, key) => {
+        const lineItem = this.getLineItem(line);
+        const quantity = this.confirmedQuantities.get(key);
+        if (lineItem && !Number.isNaN(quantity)) this.renderQuantity(lineItem, quantity);
+        if (lineItem) lineItem.removeAttribute('aria-busy');
+        this.hideLoader(line);
       });
+    }
+
+    batch.forEach((_, key) => {
+      this.getLineItemsByKey(key).forEach((lineItem) => this.showLineError(lineItem, message));
+    });
+  }
+
+  showLineError(lineItem, message) {
+    let errorEl = lineItem.querySelector('.cart-item__error');
+    if (!errorEl) {
+      errorEl = document.createElement('p');
+      errorEl.className = 'cart-item__error alert alert--error blocks-radius text-sm';
+      errorEl.setAttribute('role', 'alert');
+      (lineItem.querySelector('.cart-item__details, .cart-item__product--info') || lineItem).appendChild(errorEl);
+    }
+    errorEl.textContent = message;
+  }
+
+  hideLineError(lineItem) {
+    const errorEl = lineItem.querySelector('.cart-item__error');
+    if (errorEl) errorEl.remove();
   }
 
   showLoader(line) {
@@ -347,6 +476,113 @@ class CartRemoveItem extends HTMLAnchorElement {
 }
 customElements.define('cart-remove-item', CartRemoveItem, { extends: 'a' });
 
+/**
+ * "Removed - Undo" toast shared by the cart drawer and main cart.
+ * Lines removed while it is showing are restored together.
+ */
+class CartUndoToast extends HTMLElement {
+  static getInstance() {
+    let toast = document.querySelector('cart-undo-toast');
+    if (!toast) {
+      toast = document.createElement('cart-undo-toast');
+      document.body.appendChild(toast);
+    }
+    return toast;
+  }
+
+  lines = [];
+  timer = undefined;
+  timeout = 6000;
+
+  connectedCallback() {
+    if (this.messageEl) return;
+
+    this.classList.add('cart-undo-toast', 'flex', 'items-center', 'gap-4', 'blocks-radius');
+    this.setAttribute('role', 'status');
+    this.setAttribute('aria-live', 'polite');
+    this.hidden = true;
+    this.innerHTML = `
+      <span class="cart-undo-toast__message"></span>
+      <button type="button" class="cart-undo-toast__button btn--link relative">${FoxTheme.cartStrings.undo}</button>
+    `;
+
+    this.messageEl = this.querySelector('.cart-undo-toast__message');
+    this.buttonEl = this.querySelector('button');
+    this.buttonEl.addEventListener('click', this.undo.bind(this));
+
+    // Don't expire while the customer is reaching for the button
+    this.addEventListener('mouseenter', () => clearTimeout(this.timer));
+    this.addEventListener('focusin', () => clearTimeout(this.timer));
+    this.addEventListener('mouseleave', () => this.startTimer());
+    this.addEventListener('focusout', () => this.startTimer());
+  }
+
+  /**
+   * @param {Array<{id: number, quantity: number, properties: Object, selling_plan?: number, title: string}>} lines
+   */
+  show(lines) {
+    this.lines = this.hidden ? lines : [...this.lines, ...lines];
+
+    const count = this.lines.reduce((sum, line) => sum + line.quantity, 0);
+    this.messageEl.textContent =
+      this.lines.length === 1 && count === 1
+        ? FoxTheme.cartStrings.itemRemoved.replace('[title]', this.lines[0].title)
+        : FoxTheme.cartStrings.itemsRemoved.replace('[count]', count);
+
+    this.buttonEl.hidden = false;
+    this.hidden = false;
+    this.startTimer();
+  }
+
+  startTimer() {
+    clearTimeout(this.timer);
+    if (this.hidden) return;
+    this.timer = setTimeout(this.dismiss.bind(this), this.timeout);
+  }
+
+  dismiss() {
+    clearTimeout(this.timer);
+    if (this.hidden) return;
+
+    const lines = this.lines;
+    this.lines = [];
+    this.hidden = true;
+    document.dispatchEvent(new CustomEvent('cart:undo-expired', { detail: { lines } }));
+  }
+
+  async undo() {
+    if (this.buttonEl.classList.contains('btn--loading')) return;
+
+    clearTimeout(this.timer);
+    const lines = this.lines;
+
+    const items = lines.map(({ id, quantity, properties, selling_plan }) => ({ id, quantity, properties, selling_plan }));
+
+    this.buttonEl.classList.add('btn--loading');
+
+    try {
+      const cart = await FoxTheme.cart.add({ items });
+
+      this.lines = [];
+      this.hidden = true;
+      document.dispatchEvent(new CustomEvent('cart:undo-restored', { detail: { lines, cart } }));
+    } catch (error) {
+      if (error.status) {
+        // e.g. the last one sold in the meantime
+        this.messageEl.textContent = error.message;
+        this.buttonEl.hidden = true;
+      } else {
+        console.error(error);
+        this.messageEl.textContent = FoxTheme.cartStrings.error;
+      }
+      this.startTimer();
+    } finally {
+      this.buttonEl.classList.remove('btn--loading');
+    }
+  }
+}
+customElements.define('cart-undo-toast', CartUndoToast);
+
 class CartAddonModal extends ModalComponent {
   constructor() {
     super();
@@ -398,12 +634,58 @@ class CartNote extends HTMLElement {
   }
 
   onChange(event) {
-    const body = JSON.stringify({ note: event.target.value });
-    fetch(`${FoxTheme.routes.cart_update_url}`, { ...FoxTheme.utils.fetchConfig(), ...{ body } });
+    FoxTheme.cart.update({ note: event.target.value }, { sections: false }).catch((error) => {
+      console.error('Error updating cart note:', error);
+    });
   }
 }
 customElements.define('cart-note', CartNote);
 class CartDiscount extends HTMLFormElement {
+  static isSameCode(code, otherCode) {
+    return code.toLowerCase() === otherCode.toLowerCase();
+  }
+
+  /**
+   * Codes to keep when changing discounts - any that no longer apply are dropped
+   */
+  static async getAppliedCodes() {
+    const cart = await FoxTheme.cart.get();
+    return cart.discount_codes.filter((discount) => discount.applicable).map((discount) => discount.code);
+  }
+
+  /**
+   * Apply `code` alongside the codes already applying, or on its own with `replace`.
+   * Doesn't re-render - resolves with the cart and, when the code doesn't apply, the reason why.
+   */
+  static async apply(code, { replace = false } = {}) {
+    const codes = replace ? [] : await CartDiscount.getAppliedCodes();
+    const cart = await FoxTheme.cart.update(
+      { discount: [...codes.filter((appliedCode) => !CartDiscount.isSameCode(appliedCode, code)), code].join(',') },
+      { render: false }
+    );
+    const discount = cart.discount_codes.find((discountCode) => CartDiscount.isSameCode(discountCode.code, code));
+
+    return { cart, error: discount && discount.applicable ? null : CartDiscount.getFailureReason(code, cart) };
+  }
+
+  /**
+   * The Ajax API only says whether a code applies. When other codes do, say it doesn't work together
+   * with them; otherwise it can't be told whether the code expired or has unmet requirements.
+   */
+  static getFailureReason(code, cart) {
+    const otherCodes = cart.discount_codes
+      .filter((discount) => discount.applicable && !CartDiscount.isSameCode(discount.code, code))
+      .map((discount) => discount.code);
+
+    if (otherCodes.length > 0) {
+      return FoxTheme.cartStrings.discountNotCombinable
+        .replace('[code]', code)
+        .replace('[codes]', otherCodes.join(', '));
+    }
+
+    return FoxTheme.cartStrings.discountNotApplicable.replace('[code]', code);
+  }
+
   constructor() {
     super();
 
@@ -426,94 +708,48 @@ class CartDiscount extends HTMLFormElement {
     return this.closest('.cart-addons-drawer');
   }
 
-  get cartDiscountsEl() {
-    return document.querySelector('.cart__discounts');
-  }
-
-  getDiscounts() {
-    const discounts = [];
-
-    if (this.cartDiscountsEl) {
-      const items = this.cartDiscountsEl.querySelectorAll('.cart__discount');
-      items &&
-        items.forEach((item) => {
-          discounts.push(item.dataset.discountCode);
-        });
-    }
-
-    return discounts;
-  }
-
-  handleFormSubmit(event) {
+  async handleFormSubmit(event) {
     event.preventDefault();
 
     if (this.submitEl.getAttribute('aria-disabled') === 'true') return;
 
     this.displayFormErrors();
 
-    const newDiscountCode = this.couponEl.value;
-    const discounts = this.getDiscounts();
-
-    if (discounts.includes(newDiscountCode)) {
-      this.displayFormErrors(FoxTheme.cartStrings.duplicateDiscountError);
-      return;
-    }
-
-    discounts.push(newDiscountCode);
-
-    let sectionsToBundle = [];
-    document.documentElement.dispatchEvent(
-      new CustomEvent('cart:grouped-sections', { bubbles: true, detail: { sections: sectionsToBundle } })
-    );
-
-    const config = FoxTheme.utils.fetchConfig('javascript');
-    config.headers['X-Requested-With'] = 'XMLHttpRequest';
-    delete config.headers['Content-Type'];
-
-    const formData = new FormData();
-    formData.append('sections', sectionsToBundle);
-    formData.append('sections_url', window.location.pathname);
-    formData.append('discount', discounts.join(','));
-
-    config.body = formData;
+    const newDiscountCode = this.couponEl.value.trim();
+    if (!newDiscountCode) return;
 
     this.submitEl.setAttribute('aria-disabled', 'true');
     this.submitEl.classList.add('btn--loading');
 
-    fetch(FoxTheme.routes.cart_update_url, config)
-      .then((response) => response.json())
-      .then(async (parsedState) => {
-        if (
-          parsedState.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
-            return discount.code === newDiscountCode && discount.applicable === false;
-          })
-        ) {
-          this.couponEl.value = '';
-          this.displayFormErrors(FoxTheme.cartStrings.applyDiscountError);
-          return;
-        }
+    try {
+      const discounts = await CartDiscount.getAppliedCodes();
+      if (discounts.some((code) => CartDiscount.isSameCode(code, newDiscountCode))) {
+        this.displayFormErrors(FoxTheme.cartStrings.duplicateDiscountError);
+        return;
+      }
 
-        if (this.cartAddonDrawer) {
-          this.cartAddonDrawer.hide();
-        }
+      const { cart, error } = await CartDiscount.apply(newDiscountCode);
 
-        const cartJson = await (await fetch(`${FoxTheme.routes.cart_url}`, { ...FoxTheme.utils.fetchConfig() })).json();
-        cartJson['sections'] = parsedState['sections'];
+      // Not rendered, so the form keeps its message - cart-discount-status offers to replace or remove the code
+      if (error) {
+        this.couponEl.value = '';
+        this.displayFormErrors(error);
+        return;
+      }
 
-        this.updateCartState(cartJson);
-      })
-      .catch((e) => {
-        console.error(e);
-      })
-      .finally(() => {
-        this.submitEl.removeAttribute('aria-disabled');
-        this.submitEl.classList.remove('btn--loading');
-      });
-  }
+      if (this.cartAddonDrawer) {
+        this.cartAddonDrawer.hide();
+      }
 
-  updateCartState = (cartJson) => {
-    FoxTheme.pubsub.publish(FoxTheme.pubsub.PUB_SUB_EVENTS.cartUpdate, { cart: cartJson });
-  };
+      FoxTheme.cart.render(cart);
+    } catch (e) {
+      console.error(e);
+      this.displayFormErrors(e.message || FoxTheme.cartStrings.error);
+    } finally {
+      this.submitEl.removeAttribute('aria-disabled');
+      this.submitEl.classList.remove('btn--loading');
+    }
+  }
 
   displayFormErrors = (errorMessage = false) => {
     if (!this.messageEl) {
@@ -535,7 +771,6 @@ class CartDiscountRemove extends HTMLButtonElement {
     super();
 
     this.selectors = {
-      list: '.discounts',
       item: '.discount',
     };
 
@@ -543,8 +778,6 @@ class CartDiscountRemove extends HTMLButtonElement {
   }
 
   connectedCallback() {
-    this.listEl = this.closest(this.selectors.list);
-
     this.addEventListener('click', this.clickHandler);
   }
 
@@ -559,55 +792,126 @@ class CartDiscountRemove extends HTMLButtonElement {
     this.setAttribute('aria-disabled', 'true');
     this.classList.add('btn--loading');
 
-    this.discounts = [];
+    // The list also shows automatic discounts, so the codes to keep come from the cart
+    const code = this.closest(this.selectors.item).dataset.discountCode;
+    FoxTheme.cart
+      .get()
+      .then((cart) => {
+        this.discounts = cart.discount_codes
+          .map((discount) => discount.code)
+          .filter((discountCode) => !CartDiscount.isSameCode(discountCode, code));
 
-    const thisItem = this.closest('li');
-    const items = this.listEl.querySelectorAll(this.selectors.item);
-    items &&
-      items.forEach((item) => {
-        if (item != thisItem) {
-          this.discounts.push(item.dataset.discountCode);
-        }
+        return this.updateCartDiscounts();
+      })
+      .catch((e) => {
+        console.error(e);
       });
-
-    this.updateCartDiscounts();
   }
 
   updateCartDiscounts() {
-    let sectionsToBundle = [];
-    document.documentElement.dispatchEvent(
-      new CustomEvent('cart:grouped-sections', { bubbles: true, detail: { sections: sectionsToBundle } })
-    );
+    return FoxTheme.cart.update({ discount: this.discounts.join(',') });
+  }
+}
+customElements.define('cart-discount-remove', CartDiscountRemove, { extends: 'button' });
 
-    const config = FoxTheme.utils.fetchConfig('javascript');
-    config.headers['X-Requested-With'] = 'XMLHttpRequest';
-    delete config.headers['Content-Type'];
+/**
+ * Explains codes in the cart that don't apply, with one-click remove or replace
+ */
+class CartDiscountStatus extends HTMLElement {
+  cartUnsubscriber = undefined;
 
-    const formData = new FormData();
-    formData.append('sections', sectionsToBundle);
-    formData.append('sections_url', window.location.pathname);
-    formData.append('discount', this.discounts.join(','));
+  connectedCallback() {
+    this.addEventListener('click', this.handleClick.bind(this));
+    this.cartUnsubscriber = FoxTheme.cart.subscribe(this.render.bind(this));
+    if (FoxTheme.cart.state) this.render(FoxTheme.cart.state);
+  }
 
-    config.body = formData;
+  disconnectedCallback() {
+    if (this.cartUnsubscriber) {
+      this.cartUnsubscriber();
+    }
+  }
 
-    fetch(FoxTheme.routes.cart_update_url, config)
-      .then((response) => response.json())
-      .then(async (parsedState) => {
-        const cartJson = await (await fetch(`${FoxTheme.routes.cart_url}`, { ...FoxTheme.utils.fetchConfig() })).json();
-        cartJson['sections'] = parsedState['sections'];
+  render(cart) {
+    const discounts = cart.discount_codes.filter((discount) => !discount.applicable);
+    const canReplace = cart.discount_codes.some((discount) => discount.applicable);
 
-        this.updateCartState(cartJson);
+    this.hidden = discounts.length === 0;
+    this.replaceChildren(
+      ...discounts.map(({ code }) => {
+        const notice = document.createElement('div');
+        notice.className = 'alert alert--error blocks-radius text-sm grid gap-2';
+        notice.setAttribute('role', 'alert');
+
+        const message = document.createElement('p');
+        message.className = 'm-0';
+        message.textContent = CartDiscount.getFailureReason(code, cart);
+
+        const actions = document.createElement('div');
+        actions.className = 'flex flex-wrap gap-4';
+        if (canReplace) {
+          actions.appendChild(this.createButton(FoxTheme.cartStrings.discountReplace, code, 'replace'));
+        }
+        actions.appendChild(this.createButton(FoxTheme.cartStrings.discountRemove, code, 'remove'));
+
+        notice.append(message, actions);
+        return notice;
       })
-      .catch((e) => {
-        console.error(e);
-      });
+    );
   }
 
-  updateCartState = (cartJson) => {
-    FoxTheme.pubsub.publish(FoxTheme.pubsub.PUB_SUB_EVENTS.cartUpdate, { cart: cartJson });
-  };
+  createButton(label, code, action) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn--link';
+    button.dataset.discountAction = action;
+    button.dataset.discountCode = code;
+    button.textContent = label.replace('[code]', code);
+    return button;
+  }
+
+  async handleClick(event) {
+    const button = event.target.closest('[data-discount-action]');
+    if (!button || button.disabled) return;
+
+    const code = button.dataset.discountCode;
+    button.disabled = true;
+
+    try {
+      if (button.dataset.discountAction === 'replace') {
+        const { cart } = await CartDiscount.apply(code, { replace: true });
+        FoxTheme.cart.render(cart);
+      } else {
+        const cart = await FoxTheme.cart.get();
+        const codes = cart.discount_codes
+          .map((discount) => discount.code)
+          .filter((discountCode) => !CartDiscount.isSameCode(discountCode, code));
+        await FoxTheme.cart.update({ discount: codes.join(',') });
+      }
+    } catch (e) {
+      console.error(e);
+      button.disabled = false;
+    }
+  }
 }
-customElements.define('cart-discount-remove', CartDiscountRemove, { extends: 'button' });
+customElements.define('cart-discount-status', CartDiscountStatus);
+
+// ?discount=CODE, e.g. from an email campaign, applies the code on page load
+(() => {
+  const url = new URL(window.location.href);
+  const code = url.searchParams.get('discount');
+  if (!code) return;
+
+  url.searchParams.delete('discount');
+  window.history.replaceState(window.history.state, '', url);
+
+  // A code that doesn't apply stays in the cart, where cart-discount-status explains it
+  CartDiscount.apply(code)
+    .then(({ cart }) => FoxTheme.cart.render(cart))
+    .catch((e) => {
+      console.error(e);
+    });
+})();
 
 class CalculateShipping extends CartAddonModal {
   constructor() {
@@ -685,47 +989,165 @@ class CountryProvinceForm extends HTMLElement {
 customElements.define('country-province', CountryProvinceForm);
 
 class ShippingCalculator extends HTMLFormElement {
+  static STORAGE_KEY = 'foxtheme:shipping-address';
+  static POLL_INTERVAL = 500;
+  static MAX_POLLS = 20;
+  // Last rates shown on this page - re-rendered sections show them straight away while re-estimating
+  static lastRates = null;
+
   constructor() {
     super();
 
     this.submitButton = this.querySelector('[type="submit"]');
     this.resultsElement = this.lastElementChild;
+    this.countryProvince = this.querySelector('country-province');
+    this.zipElement = this.querySelector('[name="address[zip]"]');
+    this.requestId = 0;
 
     this.submitButton.addEventListener('click', this.handleFormSubmit.bind(this));
   }
 
+  cartUnsubscriber = undefined;
+
+  connectedCallback() {
+    this.restoreAddress();
+
+    // The calculator sits in the re-rendered cart sections, so this mostly runs after a cart change
+    if (ShippingCalculator.lastRates && this.savedAddress) {
+      this.formatShippingRates(ShippingCalculator.lastRates);
+      this.resultsElement.hidden = false;
+      this.estimate(this.savedAddress);
+    }
+
+    this.cartUnsubscriber = FoxTheme.cart.subscribe(
+      FoxTheme.utils.debounce(() => {
+        if (this.isConnected && this.savedAddress) this.estimate(this.savedAddress);
+      }, 300)
+    );
+  }
+
+  disconnectedCallback() {
+    if (this.cartUnsubscriber) {
+      this.cartUnsubscriber();
+    }
+  }
+
+  get savedAddress() {
+    return FoxTheme.utils.getStorage(ShippingCalculator.STORAGE_KEY);
+  }
+
+  /**
+   * Prefill the last estimated address. The country list may not be rendered yet
+   * (the drawer builds it when first opened), so it is also left for country-province to pick up.
+   */
+  restoreAddress() {
+    const address = this.savedAddress;
+    if (!address) return;
+
+    this.zipElement.value = address.zip;
+    if (!this.countryProvince) return;
+
+    this.countryProvince.dataset.country = address.countryName;
+    if (address.provinceName) {
+      this.countryProvince.dataset.province = address.provinceName;
+    } else {
+      delete this.countryProvince.dataset.province;
+    }
+
+    if (this.countryProvince.countryElement.options.length > 0) this.countryProvince.init();
+  }
+
+  getAddress() {
+    const countryElement = this.querySelector('[name="address[country]"]'),
+      provinceElement = this.querySelector('[name="address[province]"]'),
+      countryOption = countryElement.options[countryElement.selectedIndex],
+      provinceOption = provinceElement.closest('.form-field').hidden
+        ? null
+        : provinceElement.options[provinceElement.selectedIndex];
+
+    return {
+      zip: this.zipElement.value,
+      country: countryElement.value,
+      province: provinceOption ? provinceOption.value : '',
+      // Labels, which is what country-province matches on
+      countryName: countryOption ? countryOption.textContent : '',
+      provinceName: provinceOption ? provinceOption.text : '',
+    };
+  }
+
   handleFormSubmit(event) {
     event.preventDefault();
 
-    const zip = this.querySelector('[name="address[zip]"]').value,
-      country = this.querySelector('[name="address[country]"]').value,
-      province = this.querySelector('[name="address[province]"]').value;
+    this.estimate(this.getAddress(), true);
+  }
 
+  async estimate(address, save = false) {
+    const requestId = ++this.requestId;
     this.submitButton.classList.add('btn--loading');
 
-    const body = JSON.stringify({
-      shipping_address: { zip, country, province },
-    });
-    let sectionUrl = `${FoxTheme.routes.cart_url}/shipping_rates.json`;
+    try {
+      const shippingRates = await this.fetchShippingRates(address);
+      // A newer estimate was started meanwhile
+      if (requestId !== this.requestId) return;
 
-    sectionUrl = sectionUrl.replace('//', '/');
+      if (save) FoxTheme.utils.setStorage(ShippingCalculator.STORAGE_KEY, address, 90);
+      ShippingCalculator.lastRates = shippingRates;
+      this.formatShippingRates(shippingRates);
+    } catch (error) {
+      if (requestId !== this.requestId) return;
 
-    fetch(sectionUrl, { ...FoxTheme.utils.fetchConfig('javascript'), ...{ body } })
-      .then((response) => response.json())
-      .then((parsedState) => {
-        if (parsedState.shipping_rates) {
-          this.formatShippingRates(parsedState.shipping_rates);
-        } else {
-          this.formatError(parsedState);
-        }
-      })
-      .catch((e) => {
-        console.error(e);
-      })
-      .finally(() => {
+      console.error(error);
+      this.formatError(error.errors || { error: FoxTheme.cartStrings.error });
+    } finally {
+      if (requestId === this.requestId) {
         this.resultsElement.hidden = false;
         this.submitButton.classList.remove('btn--loading');
+      }
+    }
+  }
+
+  /**
+   * Shopify calculates rates in the background: ask for them, then poll until they are ready
+   */
+  async fetchShippingRates({ zip, country, province }) {
+    const query = new URLSearchParams({
+      'shipping_address[zip]': zip,
+      'shipping_address[country]': country,
+      'shipping_address[province]': province,
+    }).toString();
+    const baseUrl = `${FoxTheme.routes.cart_url}/`.replace('//', '/');
+
+    const prepareResponse = await fetch(`${baseUrl}prepare_shipping_rates.json?${query}`, {
+      method: 'POST',
+      headers: { Accept: 'application/json' },
+    });
+    await this.handleShippingRatesError(prepareResponse);
+
+    for (let poll = 0; poll < ShippingCalculator.MAX_POLLS; poll++) {
+      const response = await fetch(`${baseUrl}async_shipping_rates.json?${query}`, {
+        headers: { Accept: 'application/json' },
       });
+      await this.handleShippingRatesError(response);
+
+      if (response.status === 200) {
+        const parsedState = await response.json();
+        // null while Shopify is still calculating
+        if (parsedState && parsedState.shipping_rates) return parsedState.shipping_rates;
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, ShippingCalculator.POLL_INTERVAL));
+    }
+
+    throw new Error('Timed out waiting for shipping rates');
+  }
+
+  async handleShippingRatesError(response) {
+    if (response.ok) return;
+
+    const error = new Error(`Shipping rates request failed (${response.status})`);
+    // 422 lists the invalid address fields
+    if (response.status === 422) error.errors = await response.json();
+    throw error;
   }
 
   formatError(errors) {
@@ -740,9 +1162,37 @@ class ShippingCalculator extends HTMLFormElement {
     `;
   }
 
+  getRatePrice(rate) {
+    return Math.round(parseFloat(rate.price) * 100);
+  }
+
+  /**
+   * Slowest promised delivery in days, or Infinity when the rate has no estimate
+   */
+  getRateDays(rate) {
+    return rate.delivery_days && rate.delivery_days.length > 0 ? Math.max(...rate.delivery_days) : Infinity;
+  }
+
   formatShippingRates(shippingRates) {
-    const shippingRatesList = shippingRates.map(({ presentment_name, currency, price }) => {
-      return `<li>${presentment_name}: ${currency} ${price}</li>`;
+    const rates = [...shippingRates].sort((a, b) => this.getRatePrice(a) - this.getRatePrice(b));
+    const cheapest = rates[0];
+    const fastest = rates.reduce(
+      (fastestRate, rate) => (this.getRateDays(rate) < this.getRateDays(fastestRate) ? rate : fastestRate),
+      cheapest
+    );
+    const showBadges = rates.length > 1;
+
+    const shippingRatesList = rates.map((rate) => {
+      const badges = [];
+      if (showBadges && rate === cheapest) badges.push(FoxTheme.shippingCalculatorStrings.cheapest);
+      if (showBadges && rate === fastest && this.getRateDays(rate) !== Infinity) {
+        badges.push(FoxTheme.shippingCalculatorStrings.fastest);
+      }
+
+      return `<li>${rate.presentment_name}: ${FoxTheme.Currency.formatMoney(
+        this.getRatePrice(rate),
+        FoxTheme.settings.moneyFormat
+      )}${badges.map((badge) => ` <span class="shipping-rate__badge">${badge}</span>`).join('')}</li>`;
     });
     this.resultsElement.innerHTML = `
       <div class="alert blocks-radius alert--${
@@ -756,7 +1206,7 @@ class ShippingCalculator extends HTMLFormElement {
             : FoxTheme.shippingCalculatorStrings.multipleResults
         }</p>
         ${
-          shippingRatesList === ''
+          shippingRatesList.length === 0
             ? ''
             : `<ul class="list-disc grid gap-1 text-sm" role="list">${shippingRatesList.join('')}</ul>`
         }
@@ -861,68 +1311,158 @@ class MainCart extends HTMLElement {
 customElements.define('main-cart', MainCart);
 
 class FreeShippingGoal extends HTMLElement {
+  // Marks gift lines added by a goal, so the same product bought on its own is never removed
+  static GIFT_PROPERTY = '_cart_goal_gift';
+  // Shared between the drawer and cart page instances so a gift is only added once
+  static giftRequest = null;
+  static failedGifts = new Set();
+
   constructor() {
     super();
     this.selectors = {
+      tier: '[data-goal-tier]',
+      message: '[data-goal-message]',
       leftToSpend: '[data-left-to-spend]',
     };
-    this.goal = Number(this.dataset.minimumAmount) * Number(window.Shopify.currency.rate || 1) || 0;
+    this.rate = Number(window.Shopify.currency.rate || 1);
+    // Goal amounts are set in the store currency, cart totals are in the customer's - compare in cents of the latter
+    this.tiers = Array.from(this.querySelectorAll(this.selectors.tier))
+      .map((element) => ({
+        element,
+        amount: Math.round(Number(element.dataset.amount) * this.rate * 100) || 0,
+        giftVariantId: Number(element.dataset.giftVariantId) || null,
+        remainingMessage: element.dataset.remainingMessage,
+        reachedMessage: element.dataset.reachedMessage,
+      }))
+      .filter((tier) => tier.amount > 0)
+      .sort((a, b) => a.amount - b.amount);
+    this.goal = this.tiers.length > 0 ? this.tiers[this.tiers.length - 1].amount : 0;
     this.progress = this.querySelector('progress-bar');
+    this.messageEl = this.querySelector(this.selectors.message);
     this.money_format = window.FoxTheme.settings.moneyFormat;
   }
 
+  cartUnsubscriber = undefined;
+
   connectedCallback() {
-    this.updateShippingGloal(Number(this.dataset.cartTotal));
-    document.addEventListener('cart:updated', (event) => {
-      this.updateShippingGloal(event.detail.cart.items_subtotal_price);
+    if (!this.goal) return;
+
+    this.tiers.forEach((tier) => {
+      tier.element.style.setProperty('--position', `${(tier.amount * 100) / this.goal}%`);
     });
+    this.updateGoals(Number(this.dataset.cartTotal));
+
+    this.cartUnsubscriber = FoxTheme.cart.subscribe(this.onCartUpdate.bind(this));
+    if (this.tiers.some((tier) => tier.giftVariantId)) {
+      FoxTheme.cart.get().then((cart) => this.onCartUpdate(cart));
+    }
+  }
+
+  disconnectedCallback() {
+    if (this.cartUnsubscriber) {
+      this.cartUnsubscriber();
+    }
+  }
+
+  onCartUpdate(cart) {
+    this.updateGoals(this.getGoalSubtotal(cart));
+    this.syncGifts(cart);
+  }
+
+  /**
+   * Subtotal that counts towards the goals - goal gifts themselves don't
+   */
+  getGoalSubtotal(cart) {
+    return cart.items
+      .filter((item) => item.properties && item.properties[FreeShippingGoal.GIFT_PROPERTY])
+      .reduce((subtotal, item) => subtotal - item.final_line_price, cart.items_subtotal_price);
+  }
+
+  getGiftLine(cart, tier) {
+    return cart.items.find(
+      (item) =>
+        item.variant_id === tier.giftVariantId && item.properties && item.properties[FreeShippingGoal.GIFT_PROPERTY]
+    );
   }
 
-  updateShippingGloal(amount) {
+  updateGoals(amount) {
     if (amount > 0) {
       this.classList.remove('hidden');
     } else {
       this.classList.add('hidden');
     }
 
-    this.cartTotal = amount / 100;
-    this.goalLeft = this.goal - this.cartTotal;
-    this.goalDone = this.goalLeft <= 0;
+    const reachedTiers = this.tiers.filter((tier) => amount >= tier.amount);
+    const nextTier = this.tiers.find((tier) => amount < tier.amount);
+    const lastReachedTier = reachedTiers[reachedTiers.length - 1];
 
-    this.percent = (this.cartTotal * 100) / this.goal;
+    this.tiers.forEach((tier) => {
+      tier.element.classList.toggle('is-reached', reachedTiers.includes(tier));
+    });
 
-    if (this.percent >= 100) this.percent = 100;
+    this.percent = Math.min((amount * 100) / this.goal, 100);
+    this.progress.style.setProperty('--percent', `${this.percent}%`);
+    this.progress.dataset.value = amount / 100;
+    this.progress.dataset.max = this.goal / 100;
+    this.classList.toggle('free-shipping-goal--done', !nextTier);
 
-    if (this.cartTotal >= this.goal) {
-      this.progress.style.setProperty('--percent', `${this.percent}%`);
-      this.classList.add('free-shipping-goal--done');
-      this.progress.dataset.value = this.cartTotal;
-      this.progress.dataset.max = this.goal;
-    } else {
-      let spend = (this.goal - this.cartTotal) * 100;
-      this.querySelector(this.selectors.leftToSpend).innerHTML = FoxTheme.Currency.formatMoney(
-        spend,
+    this.messageEl.innerHTML = [lastReachedTier && lastReachedTier.reachedMessage, nextTier && nextTier.remainingMessage]
+      .filter(Boolean)
+      .join(' ');
+
+    if (nextTier) {
+      this.messageEl.querySelector(this.selectors.leftToSpend).innerHTML = FoxTheme.Currency.formatMoney(
+        nextTier.amount - amount,
         this.money_format
       );
-      this.classList.remove('free-shipping-goal--done');
-      this.progress.style.setProperty('--percent', `${this.percent}%`);
-      this.progress.dataset.value = this.cartTotal;
-      this.progress.dataset.max = this.goal;
     }
   }
+
+  /**
+   * Add the gift of a reached tier, or remove the gift of a tier the cart dropped below.
+   * One change at a time - the store notifies again once it lands, and the rest follow.
+   */
+  syncGifts(cart) {
+    if (FreeShippingGoal.giftRequest) return;
+
+    const amount = this.getGoalSubtotal(cart);
+    const tier = this.tiers.find((tier) => {
+      if (!tier.giftVariantId || FreeShippingGoal.failedGifts.has(tier.giftVariantId)) return false;
+
+      return (amount >= tier.amount) !== Boolean(this.getGiftLine(cart, tier));
+    });
+    if (!tier) return;
+
+    const giftLine = this.getGiftLine(cart, tier);
+    const request = giftLine
+      ? FoxTheme.cart.change({ id: giftLine.key, quantity: 0 })
+      : FoxTheme.cart.add({
+          items: [
+            { id: tier.giftVariantId, quantity: 1, properties: { [FreeShippingGoal.GIFT_PROPERTY]: 'true' } },
+          ],
+        });
+
+    FreeShippingGoal.giftRequest = request
+      .catch((error) => {
+        // e.g. the gift sold out - don't keep retrying it
+        console.error(error);
+        FreeShippingGoal.failedGifts.add(tier.giftVariantId);
+      })
+      .finally(() => {
+        FreeShippingGoal.giftRequest = null;
+        // Notifications that arrived meanwhile were skipped
+        this.syncGifts(FoxTheme.cart.state);
+      });
+  }
 }
 customElements.define('free-shipping-goal', FreeShippingGoal);
 
 window.FoxKitAddToCart = async (payload) => {
   if (!payload?.properties?.['_FoxKit offer']) return;
 
-  const cartJson = await (
-    await fetch(`${FoxTheme.routes.cart_url}`, {
-      ...FoxTheme.utils.fetchConfig(),
-    })
-  ).json();
-  cartJson['sections'] = payload['sections'];
-  FoxTheme.pubsub.publish(FoxTheme.pubsub.PUB_SUB_EVENTS.cartUpdate, { cart: cartJson });
+  // FoxKit added the offer itself - pick up the new cart and render the sections it bundled
+  const cart = await FoxTheme.cart.get({ force: true });
+  FoxTheme.cart.render({ ...cart, sections: payload['sections'] });
 
   document.dispatchEvent(
     new CustomEvent('product-ajax:added', {
@@ -157,13 +157,48 @@ class FacetForm extends HTMLFormElement {
 
     this.dirty = false;
     this.cachedMap = new Map();
+    // Section URL of the results on screen, and of the filters being previewed before they're applied
+    this.appliedUrl = this.buildUrlFromLocation();
+    this.previewUrl = null;
 
     this.addEventListener('change', this.onFormChange);
     this.addEventListener('submit', this.onFormSubmit);
+
+    if (this.hasAttribute('data-preview')) {
+      const drawer = this.closest('drawer-component');
+      if (this.applyButton) this.applyButton.addEventListener('click', this.applyPreview.bind(this));
+      if (drawer) drawer.addEventListener('drawer:handleAfterHide', this.discardPreview.bind(this));
+    }
+
+    if (this.hasAttribute('data-history')) {
+      // Give the landing entry a state too, so going back to it re-renders the unfiltered grid
+      history.replaceState({ ...history.state, facetUrl: this.appliedUrl }, '');
+
+      window.addEventListener('popstate', this.onPopState.bind(this));
+    }
+  }
+
+  onPopState(event) {
+    // Entries without a facet URL aren't ours, e.g. an anchor link
+    if (!event.state || !event.state.facetUrl) return;
+    // The vertical and drawer forms both keep history, only one of them needs to render
+    if (this !== document.querySelector('form[is="facet-form"]')) return;
+
+    this.renderSection(event.state.facetUrl, null, false);
+  }
+
+  get applyButton() {
+    return document.querySelector('[data-facet-apply]');
   }
 
-  onFormChange() {
+  onFormChange(event) {
     this.dirty = true;
+
+    if (this.hasAttribute('data-preview')) {
+      this.previewSection(this.buildUrl().toString(), event);
+      return;
+    }
+
     this.dispatchEvent(new Event('submit', { cancelable: true }));
   }
 
@@ -192,10 +227,82 @@ class FacetForm extends HTMLFormElement {
     return url;
   }
 
+  buildUrlFromLocation() {
+    const url = new URL(window.location.href);
+    url.searchParams.set('section_id', FoxTheme.utils.getSectionId(this));
+    return url.toString();
+  }
+
+  fetchSection(url) {
+    if (this.cachedMap.has(url)) return Promise.resolve(this.cachedMap.get(url));
+
+    return fetch(url)
+      .then((response) => response.text())
+      .then((responseText) => {
+        this.cachedMap.set(url, responseText);
+        return responseText;
+      });
+  }
+
+  /**
+   * Fetch results for the pending filters in the background and refresh this form's counts and the
+   * apply button, leaving the grid as is until the customer applies them.
+   * @param {string} url - Section URL to preview
+   * @param {Event|null} event - The change that triggered it, whose filter is left as is
+   */
+  previewSection(url, event) {
+    this.previewUrl = url;
+    if (this.applyButton) this.applyButton.classList.add('btn--loading');
+
+    this.fetchSection(url).then((responseText) => {
+      // A later change has started its own preview
+      if (this.previewUrl !== url) return;
+
+      this.renderFilters(responseText, event, this);
+      this.renderApplyLabel(responseText);
+      if (this.applyButton) this.applyButton.classList.remove('btn--loading');
+    }).catch((error) => {
+      console.error(error);
+      if (this.previewUrl === url && this.applyButton) this.applyButton.classList.remove('btn--loading');
+    });
+  }
+
+  applyPreview() {
+    if (!this.previewUrl) return;
+
+    const url = this.previewUrl;
+    this.previewUrl = null;
+    if (this.applyButton) this.applyButton.classList.remove('btn--loading');
+    this.renderSection(url, null);
+  }
+
+  /**
+   * Put the form back to the results on screen when the drawer closes without applying
+   */
+  discardPreview() {
+    if (!this.previewUrl) return;
+
+    this.previewUrl = null;
+    this.dirty = false;
+
+    this.fetchSection(this.appliedUrl).then((responseText) => {
+      if (this.previewUrl) return;
+
+      this.renderFilters(responseText, null, this);
+      this.renderApplyLabel(responseText);
+      if (this.applyButton) this.applyButton.classList.remove('btn--loading');
+    }).catch((error) => {
+      console.error(error);
+      if (!this.previewUrl && this.applyButton) this.applyButton.classList.remove('btn--loading');
+    });
+  }
+
   updateURLHash(url) {
     const clonedUrl = new URL(url);
     clonedUrl.searchParams.delete('section_id');
-    history.replaceState({}, '', clonedUrl.toString());
+    if (clonedUrl.toString() === window.location.href) return;
+
+    history.pushState({ facetUrl: url }, '', clonedUrl.toString());
   }
 
   beforeRenderSection() {
@@ -243,10 +350,16 @@ class FacetForm extends HTMLFormElement {
     document.dispatchEvent(new CustomEvent('collection:rerendered'));
   }
 
-  renderSection(url, event) {
+  /**
+   * @param {string} url - Section URL to render
+   * @param {Event|null} event - The change that triggered it, whose filter is left as is
+   * @param {boolean} pushHistory - False when restoring an entry on back/forward
+   */
+  renderSection(url, event, pushHistory = true) {
+    this.appliedUrl = url;
     this.cachedMap.has(url) ? this.renderSectionFromCache(url, event) : this.renderSectionFromFetch(url, event);
 
-    if (this.hasAttribute('data-history')) this.updateURLHash(url);
+    if (this.hasAttribute('data-history') && pushHistory) this.updateURLHash(url);
 
     this.dirty = false;
   }
@@ -268,6 +381,7 @@ class FacetForm extends HTMLFormElement {
             this.renderProductCount(responseText);
             this.renderSortBy(responseText);
             this.renderSortByMobile(responseText);
+            this.renderApplyLabel(responseText);
 
             FoxTheme.pubsub.publish(FoxTheme.pubsub.PUB_SUB_EVENTS.facetUpdate, { responseText: responseText });
             this.cachedMap.set(url, responseText);
@@ -290,6 +404,7 @@ class FacetForm extends HTMLFormElement {
       this.renderProductCount(responseText);
       this.renderSortBy(responseText);
       this.renderSortByMobile(responseText);
+      this.renderApplyLabel(responseText);
 
       FoxTheme.pubsub.publish(FoxTheme.pubsub.PUB_SUB_EVENTS.facetUpdate, { responseText: responseText });
 
@@ -297,7 +412,12 @@ class FacetForm extends HTMLFormElement {
     }, 250);
   }
 
-  renderFilters(responseText, event) {
+  /**
+   * @param {string} responseText - Section HTML
+   * @param {Event|null} event - The change that triggered it, whose filter is left as is
+   * @param {Document|HTMLElement} root - Where to look for the filters to update
+   */
+  renderFilters(responseText, event, root = document) {
     const parsedHTML = new DOMParser().parseFromString(responseText, 'text/html');
     const facetElements = parsedHTML.querySelectorAll(
       '#FacetFiltersContainer [data-filter], #MobileFacetFiltersContainer [data-filter]'
@@ -310,7 +430,7 @@ class FacetForm extends HTMLFormElement {
     const facetsToRender = Array.from(facetElements).filter((element) => !matchesIndex(element));
 
     facetsToRender.forEach((element) => {
-      const filter = document.querySelector(`[data-filter][data-index="${element.dataset.index}"]`);
+      const filter = root.querySelector(`[data-filter][data-index="${element.dataset.index}"]`);
       if (filter !== null) {
         if (filter.tagName === 'DETAILS') {
           filter.querySelector('summary + *').innerHTML = element.querySelector('summary + *').innerHTML;
@@ -348,6 +468,14 @@ class FacetForm extends HTMLFormElement {
     document.getElementById(id).innerHTML = parsedHTML.getElementById(id) && parsedHTML.getElementById(id).innerHTML;
   }
 
+  renderApplyLabel(responseText) {
+    const id = 'FacetApplyLabel';
+    if (document.getElementById(id) === null) return;
+    const parsedHTML = new DOMParser().parseFromString(responseText, 'text/html');
+
+    document.getElementById(id).innerHTML = parsedHTML.getElementById(id) && parsedHTML.getElementById(id).innerHTML;
+  }
+
   renderSortBy(responseText) {
     const id = 'SortByContainer';
     if (document.getElementById(id) === null) return;
@@ -380,7 +508,13 @@ class FacetRemove extends HTMLAnchorElement {
 
       const url = new URL(this.href);
       url.searchParams.set('section_id', FoxTheme.utils.getSectionId(form));
-      form.renderSection(url.toString(), event);
+
+      if (form.hasAttribute('data-preview')) {
+        form.dirty = true;
+        form.previewSection(url.toString(), event);
+      } else {
+        form.renderSection(url.toString(), event);
+      }
     }
   }
 }
@@ -420,22 +554,295 @@ class FacetCount extends HTMLElement {
 }
 customElements.define('facet-count', FacetCount);
 
+/**
+ * Named filter combinations saved in the browser and shown as chips above the grid.
+ * "New" is how many more products match than when the preset was last viewed.
+ */
+class FacetPresets extends HTMLElement {
+  // How long a preset's new product count is reused before it is checked again
+  static COUNT_MAX_AGE = 15 * 60 * 1000;
+
+  constructor() {
+    super();
+
+    this.storageKey = 'foxtheme:facet-presets';
+    this.listElement = this.querySelector('[data-presets-list]');
+    this.saveButton = this.querySelector('[data-presets-save]');
+    this.formElement = this.querySelector('[data-presets-form]');
+    this.removeIcon = this.querySelector('[data-remove-icon]');
+    // Products added since each preset was last viewed, fetched in the background
+    this.counts = new Map();
+  }
+
+  facetUpdateUnsubscriber = undefined;
+
+  connectedCallback() {
+    if (!FoxTheme.config.hasLocalStorage || !this.facetForm) return;
+
+    this.addEventListener('click', this.onClick.bind(this));
+    this.formElement.addEventListener('submit', this.onSave.bind(this));
+    this.facetUpdateUnsubscriber = FoxTheme.pubsub.subscribe(
+      FoxTheme.pubsub.PUB_SUB_EVENTS.facetUpdate,
+      this.onFacetUpdate.bind(this)
+    );
+
+    this.markViewed();
+    this.loadCounts();
+  }
+
+  disconnectedCallback() {
+    if (this.facetUpdateUnsubscriber) {
+      this.facetUpdateUnsubscriber();
+    }
+  }
+
+  get facetForm() {
+    return document.querySelector('form[is="facet-form"]');
+  }
+
+  getAllPresets() {
+    try {
+      return JSON.parse(window.localStorage.getItem(this.storageKey)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  setAllPresets(presets) {
+    window.localStorage.setItem(this.storageKey, JSON.stringify(presets));
+  }
+
+  /**
+   * Presets saved on this collection
+   */
+  getPresets() {
+    return this.getAllPresets().filter((preset) => preset.path === window.location.pathname);
+  }
+
+  updatePreset(id, changes) {
+    this.setAllPresets(this.getAllPresets().map((preset) => (preset.id === id ? { ...preset, ...changes } : preset)));
+  }
+
+  /**
+   * Filters and sorting in the current URL, normalised so the same filters always compare equal
+   */
+  getQuery() {
+    const params = new URLSearchParams(window.location.search);
+    ['page', 'section_id'].forEach((key) => params.delete(key));
+    params.sort();
+    return params.toString();
+  }
+
+  getPresetUrl(preset) {
+    const url = new URL(preset.path, window.location.origin);
+    url.search = preset.query;
+    url.searchParams.set('section_id', FoxTheme.utils.getSectionId(this.facetForm));
+    return url.toString();
+  }
+
+  /**
+   * The preset's results, newest first, so the products added since it was viewed lead the first page
+   */
+  getNewProductsUrl(preset) {
+    const url = new URL(this.getPresetUrl(preset));
+    url.searchParams.set('sort_by', 'created-descending');
+    return url.toString();
+  }
+
+  /**
+   * Count the cards created after `since` - up to a page of them
+   * @param {Document} parsedHTML - Section HTML sorted newest first
+   * @param {number} since - Timestamp in milliseconds
+   */
+  getNewProductCount(parsedHTML, since) {
+    return Array.from(parsedHTML.querySelectorAll('#ProductGridContainer .product-card[data-created-at]')).filter(
+      (card) => Number(card.dataset.createdAt) * 1000 > since
+    ).length;
+  }
+
+  getCurrentPreset() {
+    const query = this.getQuery();
+    return this.getPresets().find((preset) => preset.query === query);
+  }
+
+  markViewed() {
+    const preset = this.getCurrentPreset();
+    if (!preset) return;
+
+    this.updatePreset(preset.id, { viewedAt: Date.now(), newCount: 0, checkedAt: Date.now() });
+    this.counts.set(preset.id, 0);
+  }
+
+  /**
+   * Count the new products of each preset not checked in the last `COUNT_MAX_AGE`, one at a time
+   */
+  async loadCounts() {
+    const current = this.getCurrentPreset();
+    const stalePresets = [];
+
+    this.getPresets().forEach((preset) => {
+      if (current && preset.id === current.id) return;
+
+      if (preset.checkedAt && Date.now() - preset.checkedAt < FacetPresets.COUNT_MAX_AGE) {
+        this.counts.set(preset.id, preset.newCount);
+      } else {
+        stalePresets.push(preset);
+      }
+    });
+    this.render();
+
+    for (const preset of stalePresets) {
+      try {
+        const responseText = await (await fetch(this.getNewProductsUrl(preset))).text();
+        const newCount = this.getNewProductCount(
+          new DOMParser().parseFromString(responseText, 'text/html'),
+          preset.viewedAt
+        );
+        this.counts.set(preset.id, newCount);
+        this.updatePreset(preset.id, { newCount, checkedAt: Date.now() });
+        this.render();
+      } catch (error) {
+        console.error(error);
+      }
+    }
+  }
+
+  onFacetUpdate() {
+    this.markViewed();
+    this.render();
+  }
+
+  render() {
+    const presets = this.getPresets();
+    const current = this.getCurrentPreset();
+
+    this.listElement.replaceChildren(...presets.map((preset) => this.createChip(preset, preset === current)));
+    this.saveButton.hidden = this.getQuery() === '' || Boolean(current) || !this.formElement.hidden;
+    this.hidden = presets.length === 0 && this.saveButton.hidden && this.formElement.hidden;
+  }
+
+  createChip(preset, isCurrent) {
+    const item = document.createElement('li');
+    item.className = 'facet-presets__chip';
+
+    const applyButton = document.createElement('button');
+    applyButton.type = 'button';
+    applyButton.className = `btn btn--${isCurrent ? 'primary' : 'secondary'} flex items-center`;
+    applyButton.dataset.presetApply = preset.id;
+    applyButton.setAttribute('aria-pressed', isCurrent);
+    applyButton.textContent = preset.name;
+
+    const newCount = this.counts.get(preset.id) || 0;
+    if (!isCurrent && newCount > 0) {
+      const badge = document.createElement('span');
+      badge.className = 'facet-presets__new';
+      badge.textContent = this.dataset.newLabel.replace('[count]', newCount);
+      applyButton.appendChild(badge);
+    }
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'btn btn--icon btn--inherit';
+    removeButton.dataset.presetRemove = preset.id;
+    removeButton.setAttribute('aria-label', this.dataset.removeLabel.replace('[name]', preset.name));
+    removeButton.appendChild(this.removeIcon.content.cloneNode(true));
+
+    item.append(applyButton, removeButton);
+    return item;
+  }
+
+  onClick(event) {
+    const applyButton = event.target.closest('[data-preset-apply]');
+    const removeButton = event.target.closest('[data-preset-remove]');
+
+    if (applyButton) {
+      const preset = this.getPresets().find(({ id }) => id === applyButton.dataset.presetApply);
+      if (preset) this.facetForm.renderSection(this.getPresetUrl(preset), null);
+    } else if (removeButton) {
+      this.setAllPresets(this.getAllPresets().filter(({ id }) => id !== removeButton.dataset.presetRemove));
+      this.render();
+    } else if (event.target.closest('[data-presets-save]')) {
+      this.toggleForm(true);
+    } else if (event.target.closest('[data-presets-cancel]')) {
+      this.toggleForm(false);
+    }
+  }
+
+  toggleForm(show) {
+    this.formElement.hidden = !show;
+    this.render();
+    if (show) this.formElement.elements.name.focus();
+  }
+
+  onSave(event) {
+    event.preventDefault();
+
+    const name = this.formElement.elements.name.value.trim();
+    if (!name) return;
+
+    this.setAllPresets([
+      ...this.getAllPresets(),
+      {
+        id: Date.now().toString(36),
+        name,
+        path: window.location.pathname,
+        query: this.getQuery(),
+        viewedAt: Date.now(),
+      },
+    ]);
+
+    this.formElement.reset();
+    this.toggleForm(false);
+  }
+}
+customElements.define('facet-presets', FacetPresets);
+
 class LoadMoreButton extends HTMLButtonElement {
+  // Set while re-loading the pages an entry had before a refresh or a return from another page
+  static restoring = false;
+
   constructor() {
     super();
     this.onClickHandler = this.onClick.bind(this);
   }
 
+  get page() {
+    return Number(new URL(this.getAttribute('action')).searchParams.get('page')) || 2;
+  }
+
   connectedCallback() {
     this.addEventListener('click', this.onClickHandler);
 
+    const loadedPages = (history.state && history.state.loadedPages) || 1;
+    if (this.page <= loadedPages) {
+      LoadMoreButton.restoring = true;
+      this.onClick();
+      return;
+    }
+
+    LoadMoreButton.finishRestoring();
+
     if (this.getAttribute('type') == 'infinite') {
-      FoxTheme.Motion.inView(this, this.onClickHandler, { margin: '200px 0px 200px 0px' });
+      this.observer = new IntersectionObserver(
+        (entries) => {
+          if (entries[0].isIntersecting) this.onClick();
+        },
+        { rootMargin: '200px 0px 200px 0px' }
+      );
+      this.observer.observe(this);
     }
   }
 
   disconnectedCallback() {
     this.removeEventListener('click', this.onClickHandler);
+    if (this.observer) this.observer.disconnect();
+  }
+
+  static finishRestoring() {
+    if (!LoadMoreButton.restoring) return;
+
+    LoadMoreButton.restoring = false;
+    if (history.state && history.state.scrollY) window.scrollTo({ top: history.state.scrollY, behavior: 'auto' });
   }
 
   onClick() {
@@ -443,12 +850,15 @@ class LoadMoreButton extends HTMLButtonElement {
     this.loadingState();
 
     const url = this.setUrl().toString();
+    const page = this.page;
 
     fetch(url)
       .then((response) => response.text())
       .then((responseText) => {
-        this.renderPagination(responseText);
+        // Before rendering, which replaces this button with the next page's
+        history.replaceState({ ...history.state, loadedPages: page }, '');
         this.renderProductGridContainer(responseText);
+        this.renderPagination(responseText);
       });
   }
 
@@ -464,6 +874,7 @@ class LoadMoreButton extends HTMLButtonElement {
       pagination.innerHTML = source.innerHTML;
     } else {
       pagination.remove();
+      LoadMoreButton.finishRestoring();
     }
   }
 
@@ -499,6 +910,13 @@ class LoadMoreButton extends HTMLButtonElement {
 
 customElements.define('load-more-button', LoadMoreButton, { extends: 'button' });
 
+// Remembered so loaded pages can be scrolled back to after a refresh or coming back from a product
+window.addEventListener('pagehide', () => {
+  if (history.state && history.state.loadedPages) {
+    history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+  }
+});
+
 class LayoutSwitcher extends HTMLElement {
   constructor() {
     super();
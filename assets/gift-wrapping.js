@@ -35,51 +35,28 @@ class GiftWrapping extends HTMLElement {
 
   addGiftWrap() {
     this.showLoader();
-    const sectionsToUpdate = this.getSectionsToUpdate();
-    const requestBody = this.createRequestBody(
+    this.updateCart(
       {
         [this.giftWrapProductId]: 1,
       },
-      { 'gift-wrapping': true },
-      sectionsToUpdate
+      { 'gift-wrapping': true }
     );
-    this.updateCart(requestBody);
   }
 
   removeGiftWrap() {
     this.showLoader();
-    const sectionsToUpdate = this.getSectionsToUpdate();
-    const requestBody = this.createRequestBody(
+    this.updateCart(
       {
         [this.giftWrapProductId]: 0,
       },
-      { 'gift-wrapping': '', 'gift-note': '' },
-      sectionsToUpdate
+      { 'gift-wrapping': '', 'gift-note': '' }
     );
-    this.updateCart(requestBody);
   }
 
-  getSectionsToUpdate() {
-    let sections = [];
-    document.documentElement.dispatchEvent(
-      new CustomEvent('cart:grouped-sections', { bubbles: true, detail: { sections } })
-    );
-    return sections;
-  }
-
-  createRequestBody(updates, attributes, sections) {
-    return JSON.stringify({ updates, attributes, sections });
-  }
-
-  updateCart(body) {
-    fetch(`${FoxTheme.routes.cart_update_url}`, { ...FoxTheme.utils.fetchConfig(), ...{ body } })
-      .then((response) => response.json())
-      .then((parsedState) => {
-        FoxTheme.pubsub.publish(FoxTheme.pubsub.PUB_SUB_EVENTS.cartUpdate, { cart: parsedState });
-      })
-      .catch((error) => {
-        console.error('Error updating cart:', error);
-      });
+  updateCart(updates, attributes) {
+    FoxTheme.cart.update({ updates, attributes }).catch((error) => {
+      console.error('Error updating cart:', error);
+    });
   }
 
   showLoader() {
@@ -97,8 +74,11 @@ class GiftNote extends HTMLElement {
   }
 
   updateGiftNote(event) {
-    const requestBody = JSON.stringify({ attributes: { 'gift-note': event.target.value } });
-    fetch(`${FoxTheme.routes.cart_update_url}`, { ...FoxTheme.utils.fetchConfig(), ...{ body: requestBody } });
+    FoxTheme.cart
+      .update({ attributes: { 'gift-note': event.target.value } }, { sections: false })
+      .catch((error) => {
+        console.error('Error updating gift note:', error);
+      });
   }
 }
 customElements.define('gift-note', GiftNote);
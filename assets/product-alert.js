@@ -0,0 +1,109 @@
+if (!customElements.get('product-alert')) {
+  customElements.define(
+    'product-alert',
+    class ProductAlert extends HTMLElement {
+      static STORAGE_KEY = 'sleektheme:product-alerts';
+
+      constructor() {
+        super();
+
+        this.form = this.querySelector('[data-alert-form]');
+        this.title = this.querySelector('[data-alert-title]');
+        this.errorMessage = this.querySelector('[data-alert-error]');
+        this.subscribedMessage = this.querySelector('[data-alert-subscribed]');
+        this.submitButton = this.form.querySelector('[type="submit"]');
+
+        this.form.addEventListener('submit', this.onSubmit.bind(this));
+
+        this.update({
+          id: Number(this.dataset.variantId),
+          available: this.dataset.available === 'true',
+          price: Number(this.dataset.price),
+        });
+      }
+
+      /**
+       * Called by product-info with the newly selected variant, or null when the
+       * selected options don't match any variant.
+       */
+      update(variant) {
+        this.variant = variant;
+        this.type = this.getAlertType(variant);
+        this.hidden = !this.type;
+        if (!this.type) return;
+
+        const subscribed = this.isSubscribed(this.type, variant.id);
+        const key = this.type === 'back_in_stock' ? 'backInStock' : 'priceDrop';
+
+        this.title.textContent = this.dataset[`${key}Title`];
+        this.subscribedMessage.textContent = this.dataset[`${key}Subscribed`];
+        this.form.hidden = subscribed;
+        this.subscribedMessage.hidden = !subscribed;
+        this.errorMessage.hidden = true;
+      }
+
+      getAlertType(variant) {
+        if (!variant) return null;
+        if (!variant.available) return this.hasAttribute('data-back-in-stock') ? 'back_in_stock' : null;
+
+        return this.hasAttribute('data-price-drop') ? 'price_drop' : null;
+      }
+
+      getSubscriptions() {
+        if (!FoxTheme.config.hasLocalStorage) return [];
+
+        try {
+          return JSON.parse(window.localStorage.getItem(ProductAlert.STORAGE_KEY)) || [];
+        } catch (e) {
+          return [];
+        }
+      }
+
+      isSubscribed(type, variantId) {
+        return this.getSubscriptions().some((item) => item.type === type && item.variantId === variantId);
+      }
+
+      remember(type, variantId) {
+        if (!FoxTheme.config.hasLocalStorage) return;
+
+        const subscriptions = this.getSubscriptions().filter(
+          (item) => !(item.type === type && item.variantId === variantId)
+        );
+        subscriptions.unshift({ type, variantId, subscribedAt: Date.now() });
+
+        window.localStorage.setItem(ProductAlert.STORAGE_KEY, JSON.stringify(subscriptions.slice(0, 100)));
+      }
+
+      async onSubmit(event) {
+        event.preventDefault();
+        if (!this.type || this.submitButton.classList.contains('btn--loading')) return;
+
+        const { type, variant } = this;
+        this.errorMessage.hidden = true;
+        this.submitButton.classList.add('btn--loading');
+
+        try {
+          const response = await fetch(this.dataset.url, {
+            ...FoxTheme.utils.fetchConfig(),
+            body: JSON.stringify({
+              email: this.form.elements.email.value,
+              productId: Number(this.dataset.productId),
+              variantId: variant.id,
+              type,
+              price: variant.price,
+            }),
+          });
+          if (!response.ok) throw new Error(`Product alert failed with status ${response.status}`);
+
+          this.remember(type, variant.id);
+          if (this.variant === variant) this.update(variant);
+        } catch (e) {
+          console.error(e);
+          this.errorMessage.hidden = false;
+        } finally {
+          this.submitButton.classList.remove('btn--loading');
+        }
+      }
+    }
+  );
+}
@@ -29,6 +29,10 @@ if (!customElements.get('product-info')) {
         return this.querySelector(`pickup-availability`);
       }
 
+      get productAlert() {
+        return this.querySelector('product-alert');
+      }
+
       get productForm() {
         return this.querySelector('form[is="product-form"]');
       }
@@ -135,6 +139,7 @@ if (!customElements.get('product-info')) {
           const variant = this.getSelectedVariant(html);
 
           this.pickupAvailability?.update(variant);
+          this.productAlert?.update(variant);
           this.updateOptionValues(html);
           this.updateURL(productUrl, variant?.id);
           this.updateShareUrl(variant?.id);
@@ -324,6 +329,7 @@ if (!customElements.get('product-info')) {
 
       setUnavailable() {
         this.toggleAddButton(true, FoxTheme.variantStrings.unavailable);
+        this.productAlert?.update(null);
         const price = document.getElementById(`price-${this.dataset.section}`);
         const inventory = document.getElementById(`Inventory-${this.dataset.section}`);
         const sku = document.getElementById(`Sku-${this.dataset.section}`);
@@ -64,35 +64,46 @@ if (!customElements.get('quick-order-list')) {
         const { target } = event;
         const inputValue = parseInt(target.value);
         const index = target.getAttribute('data-index');
-        const minValue = parseInt(target.getAttribute('data-min'));
-        const maxValue = parseInt(target.max);
-        const stepValue = parseInt(target.step);
+        const errorMessage = QuickOrderList.getQuantityError(inputValue, {
+          min: parseInt(target.getAttribute('data-min')),
+          max: parseInt(target.max),
+          step: parseInt(target.step),
+        });
+
+        if (errorMessage) {
+          this.setInputValidity(target, errorMessage);
+          return;
+        }
+
+        target.setCustomValidity('');
+        target.reportValidity();
+        this.updateItemQuantity(index, inputValue, document.activeElement.getAttribute('name'), target);
+      }
 
+      /**
+       * Check a quantity against a variant's quantity rules
+       * @param {number} quantity - Quantity to check
+       * @param {{min: number, max: number, step: number}} rules - Quantity rules, a missing max is unlimited
+       * @returns {string|null} Error message for the first rule that fails
+       */
+      static getQuantityError(quantity, { min, max, step }) {
         const validationRules = [
           {
-            isInvalid: inputValue < minValue,
-            message: FoxTheme.quickOrderListStrings.min_error.replace('[min]', minValue),
+            isInvalid: quantity < min,
+            message: FoxTheme.quickOrderListStrings.min_error.replace('[min]', min),
           },
           {
-            isInvalid: inputValue > maxValue,
-            message: FoxTheme.quickOrderListStrings.max_error.replace('[max]', maxValue),
+            isInvalid: quantity > max,
+            message: FoxTheme.quickOrderListStrings.max_error.replace('[max]', max),
           },
           {
-            isInvalid: inputValue % stepValue !== 0,
-            message: FoxTheme.quickOrderListStrings.step_error.replace('[step]', stepValue),
+            isInvalid: quantity % step !== 0,
+            message: FoxTheme.quickOrderListStrings.step_error.replace('[step]', step),
           },
         ];
 
         const failedValidation = validationRules.find((rule) => rule.isInvalid);
-
-        if (failedValidation) {
-          this.setInputValidity(target, failedValidation.message);
-          return;
-        }
-
-        target.setCustomValidity('');
-        target.reportValidity();
-        this.updateItemQuantity(index, inputValue, document.activeElement.getAttribute('name'), target);
+        return failedValidation ? failedValidation.message : null;
       }
 
       /**
@@ -132,54 +143,29 @@ if (!customElements.get('quick-order-list')) {
         this.toggleLoadingState(line, true);
         this.showErrorMessage();
 
-        const sectionsToUpdate = [];
-        document.documentElement.dispatchEvent(
-          new CustomEvent('cart:grouped-sections', {
-            bubbles: true,
-            detail: { sections: sectionsToUpdate },
-          })
-        );
-
-        const requestBody = JSON.stringify({
-          updates: items,
-          sections: sectionsToUpdate,
-          sections_url: this.getAttribute('data-product-url'),
-        });
-
-        fetch(`${FoxTheme.routes.cart_update_url}`, {
-          ...FoxTheme.utils.fetchConfig(),
-          body: requestBody,
-        })
-          .then((response) => response.json())
-          .then((data) => this.handleCartUpdateSuccess(data, target, line, name))
-          .catch((error) => this.handleCartUpdateError(error))
+        FoxTheme.cart
+          .update(
+            { updates: items },
+            {
+              sectionsUrl: this.getAttribute('data-product-url'),
+              detail: { source: 'quick-order-list', target, line, name },
+            }
+          )
+          .catch((error) => this.handleCartUpdateError(error, target))
           .finally(() => this.toggleLoadingState(line, false));
       }
 
-      /**
-       * Handle successful cart update
-       * @param {Object} data - Cart data
-       * @param {HTMLElement} target - Target element
-       * @param {string} line - Line item index
-       * @param {string} name - Input name
-       */
-      handleCartUpdateSuccess(data, target, line, name) {
-        FoxTheme.pubsub.publish(FoxTheme.pubsub.PUB_SUB_EVENTS.cartUpdate, {
-          source: 'quick-order-list',
-          cart: data,
-          target,
-          line,
-          name,
-        });
-      }
-
       /**
        * Handle cart update errors
        * @param {Error} error - Error object
+       * @param {HTMLElement} target - Target element
        */
-      handleCartUpdateError(error) {
+      handleCartUpdateError(error, target) {
         if (error.name === 'AbortError') {
           console.log('Request cancelled');
+        } else if (error.status) {
+          // Rejected by the cart, e.g. not enough stock - show the server's message on the input
+          this.handleCartError(error.description || error.message, target);
         } else {
           console.error('Cart update error:', error);
           this.showErrorMessage(FoxTheme.cartStrings.error);
@@ -199,8 +185,8 @@ if (!customElements.get('quick-order-list')) {
         const sectionContent = new DOMParser().parseFromString(event.cart.sections[this.sectionId], 'text/html');
 
         this.updateCartSections(sectionContent, event);
-        this.updateFocus(event);
-        this.dispatchCartUpdateEvent(event.cart);
+        // Only edits made in this list move focus back into it
+        if (event.source === 'quick-order-list') this.updateFocus(event);
       }
 
       /**
@@ -242,18 +228,6 @@ if (!customElements.get('quick-order-list')) {
         }
       }
 
-      /**
-       * Dispatch cart updated event
-       * @param {Object} cart - Cart data
-       */
-      dispatchCartUpdateEvent(cart) {
-        document.dispatchEvent(
-          new CustomEvent('cart:updated', {
-            detail: { cart },
-          })
-        );
-      }
-
       /**
        * Handle cart errors
        * @param {string} errors - Error message
@@ -347,6 +321,690 @@ if (!customElements.get('quick-order-list-wrapper')) {
   );
 }
 
+if (!customElements.get('quick-order-bulk')) {
+  customElements.define(
+    'quick-order-bulk',
+    class QuickOrderBulk extends HTMLElement {
+      static LOADING_CLASS = 'btn--loading';
+      static CONCURRENCY = 4;
+      // Column names that mark the first row as a header rather than an order line
+      static HEADER_CELL = /^(sku|item|product|code|qty|quantity)$/i;
+
+      constructor() {
+        super();
+        this.productRequests = new Map();
+        this.initializeComponent();
+      }
+
+      /**
+       * Initialize the bulk entry panel
+       */
+      initializeComponent() {
+        this.sectionId = this.getAttribute('data-section-id');
+        this.input = this.querySelector('[data-bulk-input]');
+        this.fileInput = this.querySelector('[data-bulk-file]');
+        this.submitButton = this.querySelector('[data-bulk-submit]');
+
+        this.fileInput.addEventListener('change', this.handleFileChange.bind(this));
+        this.submitButton.addEventListener('click', this.handleSubmit.bind(this));
+      }
+
+      /**
+       * Load a CSV file into the text area, so the lines can be checked before adding them
+       */
+      async handleFileChange() {
+        const file = this.fileInput.files[0];
+        if (!file) return;
+
+        const text = await file.text();
+        this.input.value = [this.input.value.trim(), text.trim()].filter(Boolean).join('\n');
+        this.fileInput.value = '';
+      }
+
+      /**
+       * Parse "SKU, quantity" lines separated by commas, semicolons or tabs.
+       * A missing quantity means 1, a header row is skipped and repeated SKUs are summed,
+       * keeping every line they came from.
+       * @param {string} text - Pasted or uploaded lines
+       * @returns {{entries: Array<{sku: string, quantity: number, line: number, lines: number[]}>, errors: Array<{line: number, message: string}>}}
+       */
+      parseLines(text) {
+        const entries = new Map();
+        const errors = [];
+
+        text.split(/\r?\n/).forEach((row, index) => {
+          const line = index + 1;
+          const [sku, quantityCell] = row.split(/[,;\t]/).map((cell) => cell.trim().replace(/^"(.*)"$/, '$1').trim());
+          if (!sku) return;
+
+          const quantity = quantityCell ? Number(quantityCell) : 1;
+          if (!Number.isInteger(quantity) || quantity < 1) {
+            const isHeader = line === 1 && [sku, quantityCell].some((cell) => QuickOrderBulk.HEADER_CELL.test(cell));
+            if (!isHeader) {
+              errors.push({ line, message: FoxTheme.quickOrderListStrings.bulkInvalidLine.replace('[line]', line) });
+            }
+            return;
+          }
+
+          const key = sku.toLowerCase();
+          const entry = entries.get(key) || { sku, quantity: 0, line, lines: [] };
+          entry.quantity += quantity;
+          entry.lines.push(line);
+          entries.set(key, entry);
+        });
+
+        return { entries: Array.from(entries.values()), errors };
+      }
+
+      /**
+       * Find the variant for a SKU, first among the rows in the table, then through a search on variant SKUs
+       * @param {string} sku - SKU to look up
+       * @returns {Promise<{id: number, available: boolean, rules: Object}|null>}
+       */
+      async resolveSku(sku) {
+        const input = Array.from(document.querySelectorAll(`#QuickOrderList-${this.sectionId} [data-sku]`)).find(
+          (element) => element.getAttribute('data-sku').toLowerCase() === sku.toLowerCase()
+        );
+
+        if (input) {
+          return {
+            id: parseInt(input.getAttribute('data-quantity-variant-id')),
+            available: true,
+            rules: {
+              min: parseInt(input.getAttribute('data-min')),
+              max: parseInt(input.max),
+              step: parseInt(input.step),
+            },
+          };
+        }
+
+        const url = new URL(`${window.shopUrl}${FoxTheme.routes.predictive_search_url}.json`);
+        url.searchParams.set('q', sku);
+        url.searchParams.set('resources[type]', 'product');
+        url.searchParams.set('resources[limit]', 10);
+        url.searchParams.set('resources[options][fields]', 'variants.sku');
+
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Search failed with status ${response.status}`);
+
+        const { resources } = await response.json();
+        for (const result of resources.results.products || []) {
+          const product = await this.fetchProduct(new URL(result.url, window.shopUrl).pathname);
+          const variant = product.variants.find((item) => item.sku && item.sku.toLowerCase() === sku.toLowerCase());
+
+          if (variant) {
+            const rule = variant.quantity_rule || {};
+            return {
+              id: variant.id,
+              available: variant.available,
+              rules: { min: rule.min || 1, max: rule.max || NaN, step: rule.increment || 1 },
+            };
+          }
+        }
+
+        return null;
+      }
+
+      /**
+       * Fetch a product's JSON once, however many SKUs point to it
+       * @param {string} path - Product URL path
+       */
+      fetchProduct(path) {
+        if (!this.productRequests.has(path)) {
+          this.productRequests.set(
+            path,
+            fetch(`${path}.js`)
+              .then((response) => {
+                if (!response.ok) throw new Error(`Product request failed with status ${response.status}`);
+                return response.json();
+              })
+              .catch((error) => {
+                // Let the next submit retry it
+                this.productRequests.delete(path);
+                throw error;
+              })
+          );
+        }
+
+        return this.productRequests.get(path);
+      }
+
+      /**
+       * Run a task for each item, at most `QuickOrderBulk.CONCURRENCY` at a time, so a long list
+       * doesn't hit the storefront rate limit
+       * @param {Array} items - Items to process
+       * @param {Function} task - Async task run for each item
+       */
+      async forEachWithConcurrency(items, task) {
+        let next = 0;
+        const worker = async () => {
+          while (next < items.length) {
+            await task(items[next++]);
+          }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(QuickOrderBulk.CONCURRENCY, items.length) }, worker));
+      }
+
+      /**
+       * Resolve and validate every line, then add the valid ones with a single cart update
+       */
+      async handleSubmit() {
+        const strings = FoxTheme.quickOrderListStrings;
+        const { entries, errors } = this.parseLines(this.input.value);
+
+        if (entries.length === 0 && errors.length === 0) {
+          this.showReport(strings.bulkEmpty);
+          return;
+        }
+
+        this.toggleLoadingState(true);
+
+        try {
+          const cart = await FoxTheme.cart.get();
+          const updates = {};
+          let addedQuantity = 0;
+
+          await this.forEachWithConcurrency(entries, async ({ sku, quantity, line, lines }) => {
+            const replaceTokens = (message) => message.replace('[line]', lines.join(', ')).replace('[sku]', sku);
+            let variant;
+
+            try {
+              variant = await this.resolveSku(sku);
+            } catch (error) {
+              // A failed or rate limited request says nothing about whether the SKU exists
+              console.error(error);
+              errors.push({ line, lines, message: replaceTokens(strings.bulkRequestError) });
+              return;
+            }
+
+            if (!variant) {
+              errors.push({ line, lines, message: replaceTokens(strings.bulkNotFound) });
+              return;
+            }
+
+            if (!variant.available) {
+              errors.push({ line, lines, message: replaceTokens(strings.bulkSoldOut) });
+              return;
+            }
+
+            // Quantity rules apply to the whole line, so validate what the cart will hold afterwards
+            const cartQuantity = cart.items
+              .filter((item) => item.variant_id === variant.id)
+              .reduce((total, item) => total + item.quantity, 0);
+            const newQuantity = (updates[variant.id] || cartQuantity) + quantity;
+            const errorMessage = customElements.get('quick-order-list').getQuantityError(newQuantity, variant.rules);
+
+            if (errorMessage) {
+              errors.push({
+                line,
+                lines,
+                message: replaceTokens(strings.bulkLineError).replace('[message]', errorMessage),
+              });
+              return;
+            }
+
+            updates[variant.id] = newQuantity;
+            addedQuantity += quantity;
+          });
+
+          if (addedQuantity > 0) {
+            await FoxTheme.cart.update(
+              { updates },
+              {
+                sectionsUrl: this.getAttribute('data-product-url'),
+                detail: { source: 'quick-order-bulk' },
+              }
+            );
+          }
+
+          // Keep only the lines that still need fixing
+          const failedLines = new Set(errors.flatMap(({ line, lines = [line] }) => lines));
+          this.input.value = this.input.value
+            .split(/\r?\n/)
+            .filter((row, index) => failedLines.has(index + 1))
+            .join('\n');
+
+          this.showReport(
+            addedQuantity > 0
+              ? (addedQuantity === 1 ? strings.itemAdded : strings.itemsAdded).replace('[quantity]', addedQuantity)
+              : '',
+            errors.sort((a, b) => a.line - b.line).map(({ message }) => message)
+          );
+        } catch (error) {
+          console.error('Bulk order error:', error);
+          this.showReport(error.description || FoxTheme.cartStrings.error);
+        } finally {
+          this.toggleLoadingState(false);
+        }
+      }
+
+      /**
+       * Show what was added and the lines that could not be
+       * @param {string} summary - Summary message
+       * @param {string[]} errors - One message per unresolved line
+       */
+      showReport(summary, errors = []) {
+        const report = this.querySelector('[data-bulk-report]');
+        const summaryElement = report.querySelector('[data-bulk-summary]');
+        const errorList = report.querySelector('[data-bulk-errors]');
+
+        summaryElement.textContent = summary;
+        summaryElement.hidden = !summary;
+        errorList.replaceChildren(
+          ...errors.map((message) => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            return item;
+          })
+        );
+        errorList.hidden = errors.length === 0;
+        report.hidden = false;
+      }
+
+      /**
+       * Toggle loading state of the submit button
+       * @param {boolean} isLoading - Loading state
+       */
+      toggleLoadingState(isLoading) {
+        this.submitButton.classList.toggle(QuickOrderBulk.LOADING_CLASS, isLoading);
+        this.submitButton.disabled = isLoading;
+      }
+    }
+  );
+}
+
+if (!customElements.get('quick-order-templates')) {
+  customElements.define(
+    'quick-order-templates',
+    class QuickOrderTemplates extends HTMLElement {
+      static STORAGE_KEY = 'foxtheme:quick-order-templates';
+      static LOADING_CLASS = 'btn--loading';
+
+      constructor() {
+        super();
+        this.cartUpdateUnsubscriber = undefined;
+        // Lines loaded into the table but not added to the cart yet, by variant ID
+        this.pendingLines = null;
+        this.initializeComponent();
+      }
+
+      /**
+       * Initialize the templates toolbar
+       */
+      initializeComponent() {
+        this.sectionId = this.getAttribute('data-section-id');
+        this.templateSelect = this.querySelector('[data-template-select]');
+        this.saveForm = this.querySelector('[data-save-template]');
+        this.listWrapper = document.getElementById(`MainQuickOrderList-${this.sectionId}`);
+
+        this.addEventListener('click', this.handleClick.bind(this));
+        this.templateSelect.addEventListener('change', this.updateDeleteButton.bind(this));
+        this.saveForm.addEventListener('submit', this.handleSave.bind(this));
+        // The wrapper outlives re-renders of the list, so its listeners do too
+        this.listWrapper.addEventListener('change', this.handleListChange.bind(this));
+
+        this.cartUpdateUnsubscriber = FoxTheme.pubsub.subscribe(
+          FoxTheme.pubsub.PUB_SUB_EVENTS.cartUpdate,
+          this.handleCartUpdate.bind(this)
+        );
+
+        this.renderTemplateOptions();
+      }
+
+      /**
+       * Clean up event listeners when component is removed
+       */
+      disconnectedCallback() {
+        if (this.cartUpdateUnsubscriber) {
+          this.cartUpdateUnsubscriber();
+          this.cartUpdateUnsubscriber = null;
+        }
+      }
+
+      /**
+       * Handle toolbar button clicks
+       * @param {Event} event - Click event
+       */
+      handleClick(event) {
+        const actions = {
+          '[data-load-last-order]': () => this.loadLines(this.parseJson('[data-last-order]') || []),
+          '[data-load-template]': () => {
+            const template = this.getTemplates().find(({ id }) => id === this.templateSelect.value);
+            if (template) this.loadLines(template.lines);
+          },
+          '[data-delete-template]': () => this.deleteTemplate(this.templateSelect.value),
+          '[data-apply-template]': () => this.applyLines(),
+          '[data-discard-template]': () => this.clearPendingLines(),
+        };
+
+        const selector = Object.keys(actions).find((key) => event.target.closest(key));
+        if (selector) actions[selector]();
+      }
+
+      /**
+       * @param {string} selector - JSON script rendered by the section
+       * @returns {*} Parsed content, or null when the script is missing or invalid
+       */
+      parseJson(selector) {
+        const script = this.querySelector(selector);
+        if (!script) return null;
+
+        try {
+          return JSON.parse(script.textContent);
+        } catch (error) {
+          console.error(`Invalid JSON in ${selector}:`, error);
+          return null;
+        }
+      }
+
+      getLocalTemplates() {
+        if (!FoxTheme.config.hasLocalStorage) return [];
+
+        try {
+          return JSON.parse(window.localStorage.getItem(QuickOrderTemplates.STORAGE_KEY)) || [];
+        } catch (error) {
+          return [];
+        }
+      }
+
+      setLocalTemplates(templates) {
+        window.localStorage.setItem(QuickOrderTemplates.STORAGE_KEY, JSON.stringify(templates));
+      }
+
+      /**
+       * Templates saved in this browser, then the read-only ones from the customer's
+       * `custom.quick_order_templates` metafield, e.g. kept up to date by a B2B app
+       * @returns {Array<{id: string, name: string, lines: Array, readOnly: boolean}>}
+       */
+      getTemplates() {
+        const accountTemplates = (this.parseJson('[data-account-templates]') || []).map((template, index) => ({
+          id: `account-${index}`,
+          name: template.name,
+          readOnly: true,
+          lines: (template.lines || []).map((line) => ({
+            variantId: line.variantId || line.variant_id,
+            sku: line.sku,
+            quantity: line.quantity,
+            price: line.price,
+          })),
+        }));
+
+        return [...this.getLocalTemplates(), ...accountTemplates];
+      }
+
+      /**
+       * @param {string} selectedId - Template to select, defaults to the first one
+       */
+      renderTemplateOptions(selectedId) {
+        const templates = this.getTemplates();
+
+        this.templateSelect.replaceChildren(
+          ...templates.map(({ id, name }) => new Option(name, id, false, id === selectedId))
+        );
+        this.querySelector('[data-template-picker]').hidden = templates.length === 0;
+        this.updateDeleteButton();
+      }
+
+      updateDeleteButton() {
+        const template = this.getTemplates().find(({ id }) => id === this.templateSelect.value);
+        this.querySelector('[data-delete-template]').hidden = !template || template.readOnly;
+      }
+
+      deleteTemplate(id) {
+        this.setLocalTemplates(this.getLocalTemplates().filter((template) => template.id !== id));
+        this.renderTemplateOptions();
+      }
+
+      /**
+       * Save the quantities in the table, with today's prices so a later load can flag changes
+       * @param {Event} event - Submit event
+       */
+      handleSave(event) {
+        event.preventDefault();
+
+        const strings = FoxTheme.quickOrderListStrings;
+        const name = this.saveForm.elements.name.value.trim();
+        if (!name || !FoxTheme.config.hasLocalStorage) return;
+
+        const lines = [];
+        this.getRows().forEach((row, variantId) => {
+          const input = row.querySelector('[data-quantity-variant-id]');
+          const quantity = input ? parseInt(input.value) : 0;
+
+          if (quantity > 0) {
+            lines.push({
+              variantId,
+              sku: input.getAttribute('data-sku'),
+              quantity,
+              price: parseInt(row.dataset.price),
+            });
+          }
+        });
+
+        if (lines.length === 0) {
+          this.showReview(strings.templateNothingToSave, false);
+          return;
+        }
+
+        const template = { id: Date.now().toString(36), name, lines };
+        this.setLocalTemplates([...this.getLocalTemplates(), template]);
+        this.saveForm.reset();
+        this.renderTemplateOptions(template.id);
+        this.showReview(strings.templateSaved.replace('[name]', name), false);
+      }
+
+      /**
+       * Table rows by variant ID
+       * @returns {Map<number, HTMLElement>}
+       */
+      getRows() {
+        return new Map(
+          Array.from(this.listWrapper.querySelectorAll('tr[data-variant-id]')).map((row) => [
+            parseInt(row.dataset.variantId),
+            row,
+          ])
+        );
+      }
+
+      /**
+       * Pre-fill the table with template or order lines, on top of what's already in the cart.
+       * Lines for other products go to the bulk order panel when there is one.
+       * @param {Array<{variantId: number, sku: string, quantity: number, price: number}>} lines - Lines to load
+       */
+      loadLines(lines) {
+        const strings = FoxTheme.quickOrderListStrings;
+        const rows = this.getRows();
+        const otherLines = [];
+
+        this.pendingLines = new Map();
+        lines.forEach((line) => {
+          const variantId = parseInt(line.variantId);
+          if (!(line.quantity > 0)) return;
+
+          if (rows.has(variantId)) {
+            const pendingLine = this.pendingLines.get(variantId);
+            const quantity = (pendingLine ? pendingLine.quantity : 0) + line.quantity;
+            this.pendingLines.set(variantId, { ...line, variantId, quantity });
+          } else {
+            otherLines.push(line);
+          }
+        });
+
+        const messages = [strings.templateLoaded.replace('[count]', this.pendingLines.size)];
+        const bulkInput = document.querySelector(
+          `quick-order-bulk[data-section-id="${this.sectionId}"] [data-bulk-input]`
+        );
+        const movedLines = bulkInput ? otherLines.filter((line) => line.sku) : [];
+
+        if (movedLines.length > 0) {
+          bulkInput.value = [bulkInput.value.trim(), ...movedLines.map(({ sku, quantity }) => `${sku}, ${quantity}`)]
+            .filter(Boolean)
+            .join('\n');
+          messages.push(strings.templateOtherProductsMoved.replace('[count]', movedLines.length));
+        }
+
+        if (otherLines.length > movedLines.length) {
+          messages.push(strings.templateOtherProductsSkipped.replace('[count]', otherLines.length - movedLines.length));
+        }
+
+        this.renderPendingLines();
+        this.showReview(messages.join(' '), this.pendingLines.size > 0);
+      }
+
+      /**
+       * Show pending quantities in the table and flag lines whose price changed or that can't be bought anymore
+       */
+      renderPendingLines() {
+        const strings = FoxTheme.quickOrderListStrings;
+
+        this.getRows().forEach((row, variantId) => {
+          const pendingLine = this.pendingLines && this.pendingLines.get(variantId);
+          const inputs = row.querySelectorAll('[data-quantity-variant-id]');
+          const notice = row.querySelector('[data-template-notice]');
+
+          if (!pendingLine) {
+            if (row.classList.contains('variant-item--prefilled')) {
+              inputs.forEach((input) => (input.value = input.getAttribute('data-cart-quantity')));
+            }
+            row.classList.remove('variant-item--prefilled', 'variant-item--unavailable');
+            notice.hidden = true;
+            return;
+          }
+
+          const price = parseInt(row.dataset.price);
+          const isAvailable = row.dataset.available === 'true';
+          let message = pendingLine.error || '';
+
+          if (!isAvailable) {
+            message = strings.templateUnavailable;
+          } else if (!message && pendingLine.price != null && pendingLine.price !== price) {
+            message = strings.templatePriceChanged.replace(
+              '[price]',
+              FoxTheme.Currency.formatMoney(pendingLine.price, FoxTheme.settings.moneyFormat)
+            );
+          }
+
+          inputs.forEach((input) => {
+            input.value = parseInt(input.getAttribute('data-cart-quantity')) + pendingLine.quantity;
+          });
+          row.classList.add('variant-item--prefilled');
+          row.classList.toggle('variant-item--unavailable', !isAvailable);
+          notice.textContent = message;
+          notice.hidden = !message;
+        });
+      }
+
+      /**
+       * Add the pending lines with one cart update, keeping any that fail their quantity rules for review
+       */
+      applyLines() {
+        if (!this.pendingLines) return;
+
+        const rows = this.getRows();
+        const updates = {};
+        const appliedLines = new Map();
+
+        this.pendingLines.forEach((line, variantId) => {
+          const row = rows.get(variantId);
+          const input = row && row.querySelector('[data-quantity-variant-id]');
+          if (!input || row.dataset.available !== 'true') return;
+
+          const quantity = parseInt(input.value);
+          line.error = customElements.get('quick-order-list').getQuantityError(quantity, {
+            min: parseInt(input.getAttribute('data-min')),
+            max: parseInt(input.max),
+            step: parseInt(input.step),
+          });
+
+          if (!line.error) {
+            updates[variantId] = quantity;
+            appliedLines.set(variantId, line);
+          }
+        });
+
+        if (appliedLines.size === 0) {
+          this.renderPendingLines();
+          return;
+        }
+
+        // Drop them before the request, the cart update re-renders the table with their new quantities
+        appliedLines.forEach((line, variantId) => this.pendingLines.delete(variantId));
+        this.toggleLoadingState(true);
+
+        FoxTheme.cart
+          .update(
+            { updates },
+            {
+              sectionsUrl: this.getAttribute('data-product-url'),
+              detail: { source: 'quick-order-templates' },
+            }
+          )
+          .then(() => {
+            if (this.pendingLines.size === 0) this.clearPendingLines();
+          })
+          .catch((error) => {
+            console.error('Cart update error:', error);
+            appliedLines.forEach((line, variantId) => this.pendingLines.set(variantId, line));
+            this.renderPendingLines();
+            this.showReview(error.description || FoxTheme.cartStrings.error, true);
+          })
+          .finally(() => this.toggleLoadingState(false));
+      }
+
+      clearPendingLines() {
+        this.pendingLines = null;
+        this.renderPendingLines();
+        this.querySelector('[data-template-review]').hidden = true;
+      }
+
+      /**
+       * Someone changing a pre-filled line in the table adds it to the cart themselves
+       * @param {Event} event - Change event from the list
+       */
+      handleListChange(event) {
+        const variantId = parseInt(event.target.getAttribute('data-quantity-variant-id'));
+        if (!this.pendingLines || !this.pendingLines.has(variantId)) return;
+
+        this.pendingLines.delete(variantId);
+        event.target.closest('tr').classList.remove('variant-item--prefilled');
+      }
+
+      /**
+       * The list re-renders from the cart update, so put the pending lines back once it has
+       */
+      handleCartUpdate() {
+        if (!this.pendingLines) return;
+
+        queueMicrotask(() => this.renderPendingLines());
+      }
+
+      /**
+       * @param {string} message - Summary of the last action
+       * @param {boolean} canApply - Whether there are pending lines to add or discard
+       */
+      showReview(message, canApply) {
+        const review = this.querySelector('[data-template-review]');
+
+        review.querySelector('[data-review-summary]').textContent = message;
+        this.querySelector('[data-apply-template]').hidden = !canApply;
+        this.querySelector('[data-discard-template]').hidden = !canApply;
+        review.hidden = false;
+      }
+
+      /**
+       * Toggle loading state of the apply button
+       * @param {boolean} isLoading - Loading state
+       */
+      toggleLoadingState(isLoading) {
+        const button = this.querySelector('[data-apply-template]');
+        button.classList.toggle(QuickOrderTemplates.LOADING_CLASS, isLoading);
+        button.disabled = isLoading;
+      }
+    }
+  );
+}
+
 if (!customElements.get('quick-order-list-remove')) {
   customElements.define(
     'quick-order-list-remove',
@@ -5,6 +5,9 @@ if (!customElements.get('recently-viewed-products')) {
       constructor() {
         super();
 
+        this.onStorage = this.onStorage.bind(this);
+        this.addEventListener('click', this.onClick.bind(this));
+
         if ('requestIdleCallback' in window) {
           requestIdleCallback(this.init.bind(this), { timeout: 1500 });
         } else {
@@ -12,10 +15,18 @@ if (!customElements.get('recently-viewed-products')) {
         }
       }
 
+      connectedCallback() {
+        window.addEventListener('storage', this.onStorage);
+      }
+
+      disconnectedCallback() {
+        window.removeEventListener('storage', this.onStorage);
+      }
+
       init() {
         const queryUrl = this.getQueryUrl();
         if (!queryUrl) {
-          this.removeSection();
+          this.hideSection();
           return;
         }
 
@@ -34,12 +45,14 @@ if (!customElements.get('recently-viewed-products')) {
               section.classList.remove('hidden');
 
               this.innerHTML = recommendations.innerHTML;
+              this.applyVariants();
             }
 
             if (recommendations.querySelector('.product-card')) {
+              this.hidden = false;
               this.dispatchEvent(new CustomEvent('recommendations:loaded'));
             } else {
-              this.removeSection();
+              this.hideSection();
               this.dispatchEvent(new CustomEvent('recommendations:empty'));
             }
           })
@@ -49,19 +62,16 @@ if (!customElements.get('recently-viewed-products')) {
       }
 
       getQueryUrl() {
-        const items = JSON.parse(window.localStorage.getItem('sleektheme:recently-viewed') || '[]');
         const productId = parseInt(this.dataset.productId);
         const productsToShow = parseInt(this.dataset.productsToShow);
 
-        if (items.includes(productId)) {
-          items.splice(items.indexOf(productId), 1);
-        }
+        this.items = FoxTheme.recentlyViewed
+          .getItems()
+          .filter((item) => item.productId !== productId)
+          .slice(0, productsToShow);
 
-        if (items.length > 0) {
-          const queryParams = items
-            .map((item) => 'id:' + item)
-            .slice(0, productsToShow)
-            .join(' OR ');
+        if (this.items.length > 0) {
+          const queryParams = this.items.map((item) => 'id:' + item.productId).join(' OR ');
 
           return this.dataset.url + queryParams;
         }
@@ -69,8 +79,35 @@ if (!customElements.get('recently-viewed-products')) {
         return false;
       }
 
-      removeSection() {
-        this.remove();
+      /**
+       * Link each card to the variant the customer viewed.
+       */
+      applyVariants() {
+        this.items.forEach(({ productId, variantId }) => {
+          if (!variantId) return;
+
+          const card = this.querySelector(`.product-card[data-product-id="${productId}"]`);
+          if (card) FoxTheme.utils.linkToVariant(card, variantId);
+        });
+      }
+
+      onClick(event) {
+        if (!event.target.closest('[data-recently-viewed-clear]')) return;
+
+        FoxTheme.recentlyViewed.clear();
+        this.hideSection();
+      }
+
+      // Another tab viewed a product or cleared the history.
+      onStorage(event) {
+        if (event.key !== null && event.key !== FoxTheme.recentlyViewed.storageKey) return;
+
+        this.init();
+      }
+
+      // Hidden rather than removed, so products viewed in another tab can still bring it back.
+      hideSection() {
+        this.hidden = true;
       }
 
       sendTrekkieEvent(numberProducts) {
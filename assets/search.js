@@ -1,4 +1,7 @@
 class PredictiveSearch extends HTMLFormElement {
+  static RECENT_SEARCHES_KEY = 'foxtheme:recent-searches';
+  static RECENT_SEARCHES_LIMIT = 5;
+
   constructor() {
     super();
     this.cachedMap = new Map();
@@ -6,8 +9,18 @@ class PredictiveSearch extends HTMLFormElement {
     this.resetButton.addEventListener('click', this.clear.bind(this));
     this.input.addEventListener('input', FoxTheme.utils.debounce(this.onChange.bind(this), 300));
     this.input.addEventListener('focus', this.onFocus.bind(this));
+    this.input.addEventListener('keydown', this.onKeydown.bind(this));
+    this.addEventListener('submit', this.onSubmit.bind(this));
+    this.addEventListener('click', this.onLinkClick.bind(this));
     this.searchContent = this.querySelector('.search__content');
     this.searchRecommendationEmpty = this.dataset.searchRecommendationEmpty === 'true';
+    this.recentSearches = this.querySelector('[data-recent-searches]');
+
+    if (this.recentSearches) {
+      this.recentSearches
+        .querySelector('[data-recent-searches-clear]')
+        .addEventListener('click', this.clearRecentSearches.bind(this));
+    }
 
     const isTemplateSearch = this.closest('.template-search');
     if (isTemplateSearch) {
@@ -21,8 +34,23 @@ class PredictiveSearch extends HTMLFormElement {
   get resetButton() {
     return this.querySelector('button[type="reset"]');
   }
+  get resultsElement() {
+    return document.getElementById('PredictiveSearchResults-' + FoxTheme.utils.getSectionId(this));
+  }
+
+  /**
+   * Options the arrow keys move through: the results, or the recent searches while the query is empty
+   */
+  get options() {
+    const listbox = this.hasAttribute('results') ? this.resultsElement : this.recentSearches;
+    return listbox ? Array.from(listbox.querySelectorAll('[role="option"]')) : [];
+  }
 
   onFocus(event) {
+    if (this.getQuery().length === 0) {
+      this.showRecentSearches();
+    }
+
     if (this.closest('.template-search')) {
       document.body.classList.add('predictive-search-open');
       if (this.getQuery().length === 0) {
@@ -43,6 +71,136 @@ class PredictiveSearch extends HTMLFormElement {
     this.input.value = '';
     this.input.focus();
     this.removeAttribute('results');
+    this.showRecentSearches();
+  }
+
+  onKeydown(event) {
+    const options = this.options;
+    const index = options.findIndex((option) => option.getAttribute('aria-selected') === 'true');
+
+    switch (event.key) {
+      case 'ArrowDown':
+      case 'ArrowUp': {
+        if (options.length === 0) return;
+        event.preventDefault();
+
+        // Wrap around both ends, and start from the top or bottom when nothing is selected yet
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        const nextIndex =
+          index === -1 ? (step === 1 ? 0 : options.length - 1) : (index + step + options.length) % options.length;
+        this.setActiveOption(options[nextIndex]);
+        break;
+      }
+      case 'Enter': {
+        const link = index !== -1 && options[index].querySelector('a');
+        if (!link) return;
+
+        event.preventDefault();
+        link.click();
+        break;
+      }
+      case 'Escape':
+        if (index === -1) return;
+
+        event.preventDefault();
+        this.setActiveOption(null);
+        break;
+    }
+  }
+
+  setActiveOption(option) {
+    this.querySelectorAll('[role="option"][aria-selected="true"]').forEach((selected) => {
+      selected.setAttribute('aria-selected', 'false');
+    });
+
+    if (option) {
+      option.setAttribute('aria-selected', 'true');
+      option.scrollIntoView({ block: 'nearest' });
+      this.input.setAttribute('aria-activedescendant', option.id);
+    } else {
+      this.input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  /**
+   * @param {HTMLElement|null} listbox - The list now shown under the input, or null when none is
+   */
+  toggleListbox(listbox) {
+    this.setActiveOption(null);
+    this.input.setAttribute('aria-expanded', Boolean(listbox));
+    if (listbox) this.input.setAttribute('aria-controls', listbox.id);
+  }
+
+  onSubmit() {
+    this.saveRecentSearch(this.getQuery());
+  }
+
+  onLinkClick(event) {
+    const link = event.target.closest('.search__results a, [data-recent-searches] a');
+    if (link) this.saveRecentSearch(this.getQuery() || link.textContent.trim());
+  }
+
+  getRecentSearches() {
+    if (!FoxTheme.config.hasLocalStorage) return [];
+
+    try {
+      return JSON.parse(window.localStorage.getItem(PredictiveSearch.RECENT_SEARCHES_KEY)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  saveRecentSearch(query) {
+    if (!query || !FoxTheme.config.hasLocalStorage) return;
+
+    const searches = [
+      query,
+      ...this.getRecentSearches().filter((search) => search.toLowerCase() !== query.toLowerCase()),
+    ].slice(0, PredictiveSearch.RECENT_SEARCHES_LIMIT);
+    window.localStorage.setItem(PredictiveSearch.RECENT_SEARCHES_KEY, JSON.stringify(searches));
+  }
+
+  clearRecentSearches(event) {
+    event.preventDefault();
+    window.localStorage.removeItem(PredictiveSearch.RECENT_SEARCHES_KEY);
+    this.showRecentSearches();
+    this.input.focus();
+  }
+
+  showRecentSearches() {
+    if (!this.recentSearches) return;
+
+    const listbox = this.recentSearches.querySelector('[role="listbox"]');
+    const searches = this.getRecentSearches();
+
+    listbox.replaceChildren(
+      ...searches.map((query, index) => {
+        const url = new URL(this.action);
+        url.searchParams.set('q', query);
+        url.searchParams.set('options[prefix]', 'last');
+
+        const link = document.createElement('a');
+        link.href = url.toString();
+        link.className = 'reversed-link';
+        link.textContent = query;
+
+        const item = document.createElement('li');
+        item.id = `predictive-search-option-recent-${index + 1}`;
+        item.className = 'predictive-search-result__list-item';
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', 'false');
+        item.appendChild(link);
+        return item;
+      })
+    );
+
+    this.recentSearches.hidden = searches.length === 0;
+    if (searches.length > 0) {
+      this.searchContent?.classList.remove('hidden');
+    } else if (this.searchRecommendationEmpty) {
+      this.searchContent?.classList.add('hidden');
+    }
+    this.toggleListbox(searches.length > 0 ? listbox : null);
   }
 
   setupURL() {
@@ -114,6 +272,7 @@ class PredictiveSearch extends HTMLFormElement {
       if (contentElement) {
         this.searchContent?.classList.remove('hidden');
         targetElement.innerHTML = contentElement.innerHTML;
+        this.toggleListbox(targetElement);
       } else {
         console.error(`Element with id '${id}' not found in the parsed response.`);
       }
@@ -170,6 +170,16 @@ console.log(
         return element.id.replace('shopify-section-', '');
       }
     },
+    /**
+     * Point every product link in a card at the given variant
+     */
+    linkToVariant: (card, variantId) => {
+      card.querySelectorAll('a[href*="/products/"]').forEach((link) => {
+        const url = new URL(link.href, window.location.origin);
+        url.searchParams.set('variant', variantId);
+        link.href = url.pathname + url.search;
+      });
+    },
     debounce: (fn, wait) => {
       let t;
       return (...args) => {
@@ -325,6 +335,251 @@ console.log(
     },
   };
 
+  /**
+   * Single source of truth for the cart. Every Ajax Cart API call goes through here so
+   * subscribers always see the latest cart along with what changed since the last one.
+   * Mutations also publish cartUpdate (with the bundled sections) so sections re-render.
+   */
+  FoxTheme.cart = {
+    state: null,
+    subscribers: [],
+    pendingFetch: null,
+
+    /**
+     * @param {Function} callback - Called with (cart, diff, detail) after every change
+     * @returns {Function} unsubscribe
+     */
+    subscribe: (callback) => {
+      FoxTheme.cart.subscribers = [...FoxTheme.cart.subscribers, callback];
+
+      return function unsubscribe() {
+        FoxTheme.cart.subscribers = FoxTheme.cart.subscribers.filter((cb) => cb !== callback);
+      };
+    },
+
+    /**
+     * Resolve the last known cart, fetching it if there is none yet or `force` is set.
+     * Concurrent calls share a single request.
+     */
+    get: ({ force = false } = {}) => {
+      if (FoxTheme.cart.state && !force) return Promise.resolve(FoxTheme.cart.state);
+
+      return FoxTheme.cart.fetchCart().then((cart) => FoxTheme.cart.setState(cart));
+    },
+
+    /**
+     * Reads share an in-flight request. Mutations pass `fresh` so they never resolve with
+     * a cart that was requested before they were made.
+     */
+    fetchCart: ({ fresh = false } = {}) => {
+      const request = () =>
+        fetch(`${FoxTheme.routes.cart_url}.js`, { headers: { Accept: 'application/json' } }).then((response) =>
+          response.json()
+        );
+
+      if (fresh) return request();
+
+      if (!FoxTheme.cart.pendingFetch) {
+        FoxTheme.cart.pendingFetch = request().finally(() => {
+          FoxTheme.cart.pendingFetch = null;
+        });
+      }
+
+      return FoxTheme.cart.pendingFetch;
+    },
+
+    /**
+     * Add items. `items` is an add.js body ({ id, quantity } or { items: [...] }) or a FormData.
+     * Resolves with the new cart; the add.js response is on `cart.added`.
+     */
+    add: async (items, options = {}) => {
+      const sections = FoxTheme.cart.getSections(options);
+      let config;
+
+      if (items instanceof FormData) {
+        config = FoxTheme.utils.fetchConfig('javascript');
+        config.headers['X-Requested-With'] = 'XMLHttpRequest';
+        delete config.headers['Content-Type'];
+        if (sections.length > 0) {
+          items.append('sections', sections);
+          items.append('sections_url', options.sectionsUrl || window.location.pathname);
+        }
+        config.body = items;
+      } else {
+        config = {
+          ...FoxTheme.utils.fetchConfig('javascript'),
+          body: JSON.stringify({ ...items, ...FoxTheme.cart.getSectionsBody(sections, options) }),
+        };
+      }
+
+      const added = await FoxTheme.cart.request(FoxTheme.routes.cart_add_url, config);
+      const cart = { ...(await FoxTheme.cart.fetchCart({ fresh: true })), sections: added.sections, added };
+      delete added.sections;
+
+      return FoxTheme.cart.commit(cart, options);
+    },
+
+    /**
+     * Change a single line - `body` is a change.js body ({ id | line, quantity, properties })
+     */
+    change: (body, options = {}) => FoxTheme.cart.mutate(FoxTheme.routes.cart_change_url, body, options),
+
+    /**
+     * Update several lines, attributes, the note or discounts - `body` is an update.js body
+     */
+    update: (body, options = {}) => FoxTheme.cart.mutate(FoxTheme.routes.cart_update_url, body, options),
+
+    clear: (options = {}) => FoxTheme.cart.mutate(FoxTheme.routes.cart_clear_url, {}, options),
+
+    mutate: async (url, body, options) => {
+      const sections = FoxTheme.cart.getSections(options);
+      const cart = await FoxTheme.cart.request(url, {
+        ...FoxTheme.utils.fetchConfig(),
+        body: JSON.stringify({ ...body, ...FoxTheme.cart.getSectionsBody(sections, options) }),
+      });
+
+      return FoxTheme.cart.commit(cart, options);
+    },
+
+    request: async (url, config) => {
+      const response = await fetch(url, config);
+      const data = await response.json();
+
+      if (!response.ok || data.status) {
+        const error = new Error(data.description || data.message || FoxTheme.cartStrings.error);
+        error.status = data.status || response.status;
+        error.description = data.description;
+        error.errors = data.errors;
+        throw error;
+      }
+
+      return data;
+    },
+
+    /**
+     * Sections to bundle with a mutation, unless `options.sections` is false
+     */
+    getSections: (options) => {
+      const sections = [];
+      if (options.sections === false) return sections;
+
+      document.documentElement.dispatchEvent(
+        new CustomEvent('cart:grouped-sections', { bubbles: true, detail: { sections } })
+      );
+      return sections;
+    },
+
+    getSectionsBody: (sections, options) => {
+      if (sections.length === 0) return {};
+
+      return { sections, sections_url: options.sectionsUrl || window.location.pathname };
+    },
+
+    /**
+     * Store a mutation's cart and, unless `options.render` is false, re-render its sections
+     */
+    commit: (cart, options) => {
+      FoxTheme.cart.setState(cart, options.detail);
+      if (options.render !== false) FoxTheme.cart.render(cart, options.detail);
+
+      return cart;
+    },
+
+    /**
+     * Publish cartUpdate so the cart sections re-render from `cart.sections`
+     */
+    render: (cart, detail = {}) => {
+      if (!cart.sections) return;
+
+      FoxTheme.pubsub.publish(FoxTheme.pubsub.PUB_SUB_EVENTS.cartUpdate, { ...detail, cart });
+    },
+
+    setState: (cart, detail = {}) => {
+      const { sections, added, ...state } = cart;
+      const diff = FoxTheme.cart.diff(FoxTheme.cart.state, state);
+      FoxTheme.cart.state = state;
+
+      FoxTheme.cart.subscribers.forEach((callback) => callback(state, diff, detail));
+      // Kept for apps and snippets that listen for it
+      document.dispatchEvent(new CustomEvent('cart:updated', { detail: { cart: state, diff } }));
+
+      return state;
+    },
+
+    /**
+     * Lines added, removed and changed in quantity between two carts, by line key.
+     * `initial` is set when there was no previous cart to compare against.
+     */
+    diff: (previous, next) => {
+      const before = new Map((previous ? previous.items : []).map((item) => [item.key, item]));
+      const after = new Map(next.items.map((item) => [item.key, item]));
+
+      return {
+        initial: !previous,
+        added: next.items.filter((item) => !before.has(item.key)),
+        removed: Array.from(before.values()).filter((item) => !after.has(item.key)),
+        changed: next.items
+          .filter((item) => before.has(item.key) && before.get(item.key).quantity !== item.quantity)
+          .map((item) => ({ item, from: before.get(item.key).quantity, to: item.quantity })),
+      };
+    },
+  };
+
+  /**
+   * Products the customer viewed, newest first, as { productId, variantId, viewedAt }.
+   * The list is capped and expired by the recently viewed theme settings.
+   */
+  FoxTheme.recentlyViewed = {
+    storageKey: 'sleektheme:recently-viewed',
+
+    getItems: () => {
+      if (!FoxTheme.config.hasLocalStorage) return [];
+
+      let items;
+      try {
+        items = JSON.parse(window.localStorage.getItem(FoxTheme.recentlyViewed.storageKey) || '[]');
+      } catch (e) {
+        items = [];
+      }
+      if (!Array.isArray(items)) return [];
+
+      // Entries saved before variants were tracked are bare product IDs with no view date. Date them
+      // the first time they are read and save that, so they expire from then on.
+      if (items.some((item) => typeof item === 'number')) {
+        const viewedAt = Date.now();
+        items = items.map((item) => (typeof item === 'number' ? { productId: item, variantId: null, viewedAt } : item));
+        FoxTheme.recentlyViewed.setItems(items);
+      }
+
+      const { recentlyViewedMaxItems = 20, recentlyViewedExpiryDays = 30 } = FoxTheme.settings;
+      const expiredBefore = Date.now() - recentlyViewedExpiryDays * 86400000;
+
+      return items
+        .filter((item) => item && item.productId && item.viewedAt > expiredBefore)
+        .slice(0, recentlyViewedMaxItems);
+    },
+
+    add: (productId, variantId) => {
+      const items = FoxTheme.recentlyViewed.getItems().filter((item) => item.productId !== productId);
+      items.unshift({ productId, variantId: variantId || null, viewedAt: Date.now() });
+
+      FoxTheme.recentlyViewed.setItems(items);
+    },
+
+    setItems: (items) => {
+      if (!FoxTheme.config.hasLocalStorage) return;
+
+      const maxItems = FoxTheme.settings.recentlyViewedMaxItems || 20;
+      window.localStorage.setItem(FoxTheme.recentlyViewed.storageKey, JSON.stringify(items.slice(0, maxItems)));
+    },
+
+    clear: () => {
+      if (!FoxTheme.config.hasLocalStorage) return;
+
+      window.localStorage.removeItem(FoxTheme.recentlyViewed.storageKey);
+    },
+  };
+
   FoxTheme.focusVisiblePolyfill = function () {
     const navKeys = [
       'ARROWUP',
@@ -1071,18 +1326,15 @@ class CartCount extends HTMLElement {
     super();
   }
 
-  cartUpdateUnsubscriber = undefined;
+  cartUnsubscriber = undefined;
 
   connectedCallback() {
-    this.cartUpdateUnsubscriber = FoxTheme.pubsub.subscribe(
-      FoxTheme.pubsub.PUB_SUB_EVENTS.cartUpdate,
-      this.onCartUpdate.bind(this)
-    );
+    this.cartUnsubscriber = FoxTheme.cart.subscribe(this.onCartUpdate.bind(this));
   }
 
   disconnectedCallback() {
-    if (this.cartUpdateUnsubscriber) {
-      this.cartUpdateUnsubscriber();
+    if (this.cartUnsubscriber) {
+      this.cartUnsubscriber();
     }
   }
 
@@ -1090,14 +1342,12 @@ class CartCount extends HTMLElement {
     return parseInt(this.innerText);
   }
 
-  onCartUpdate(event) {
-    if (event.cart.errors) return;
-
-    if (event.cart.item_count > 99) {
+  onCartUpdate(cart) {
+    if (cart.item_count > 99) {
       this.innerHTML = `<span class="text-sm">99+</span>`;
       this.classList.add('cart-count--small-medium');
     } else {
-      this.innerText = event.cart.item_count;
+      this.innerText = cart.item_count;
       this.classList.remove('cart-count--small-medium');
     }
     this.hidden = this.itemCount === 0;
@@ -1875,52 +2125,25 @@ class ProductsBundle extends HTMLElement {
     this.showErrorMessage();
     this.toggleButtonLoading(true);
 
-    let sectionsToBundle = [];
-    document.documentElement.dispatchEvent(
-      new CustomEvent('cart:grouped-sections', { bubbles: true, detail: { sections: sectionsToBundle } })
-    );
-
-    const body = JSON.stringify({
-      ...items,
-      sections: sectionsToBundle,
-      section_url: window.pathname,
-    });
-
-    fetch(`${FoxTheme.routes.cart_add_url}`, { ...FoxTheme.utils.fetchConfig('javascript'), ...{ body } })
-      .then((response) => response.json())
-      .then(async (parsedState) => {
-        if (parsedState.status) {
-          this.showErrorMessage(parsedState.description);
-          return;
-        }
-        if (parsedState.status === 422) {
-          document.dispatchEvent(
-            new CustomEvent('product-ajax:error', {
-              detail: {
-                errorMessage: parsedState.description,
-              },
-            })
-          );
+    FoxTheme.cart
+      .add(items)
+      .then((cart) => {
+        document.dispatchEvent(
+          new CustomEvent('product-ajax:added', {
+            detail: {
+              product: cart.added,
+            },
+          })
+        );
+        this.cartDrawerElement && this.cartDrawerElement.show(this.lastClickedElement);
+      })
+      .catch((error) => {
+        if (error.status) {
+          this.showErrorMessage(error.message);
         } else {
-          const cartJson = await (
-            await fetch(`${FoxTheme.routes.cart_url}`, { ...FoxTheme.utils.fetchConfig() })
-          ).json();
-          cartJson['sections'] = parsedState['sections'];
-
-          FoxTheme.pubsub.publish(FoxTheme.pubsub.PUB_SUB_EVENTS.cartUpdate, { cart: cartJson });
-          document.dispatchEvent(
-            new CustomEvent('product-ajax:added', {
-              detail: {
-                product: parsedState,
-              },
-            })
-          );
-          this.cartDrawerElement && this.cartDrawerElement.show(this.lastClickedElement);
+          console.error(error);
         }
       })
-      .catch((e) => {
-        console.error(e);
-      })
       .finally(() => {
         this.toggleButtonLoading(false);
       });
@@ -1953,19 +2176,23 @@ class ProductRecentlyViewed extends HTMLElement {
   constructor() {
     super();
 
-    if (FoxTheme.config.hasLocalStorage) {
-      const productId = parseInt(this.dataset.productId);
-      const cookieName = 'sleektheme:recently-viewed';
-      const items = JSON.parse(window.localStorage.getItem(cookieName) || '[]');
+    this.productId = parseInt(this.dataset.productId);
+    FoxTheme.recentlyViewed.add(this.productId, parseInt(this.dataset.variantId));
+  }
 
-      if (items.includes(productId)) {
-        items.splice(items.indexOf(productId), 1);
-      }
+  connectedCallback() {
+    this.variantChangeUnsubscriber = FoxTheme.pubsub.subscribe(
+      FoxTheme.pubsub.PUB_SUB_EVENTS.variantChange,
+      ({ data }) => {
+        if (data.sectionId !== this.dataset.sectionId || !data.variant) return;
 
-      items.unshift(productId);
+        FoxTheme.recentlyViewed.add(this.productId, data.variant.id);
+      }
+    );
+  }
 
-      window.localStorage.setItem(cookieName, JSON.stringify(items.slice(0, 20)));
-    }
+  disconnectedCallback() {
+    this.variantChangeUnsubscriber?.();
   }
 }
 customElements.define('product-recently-viewed', ProductRecentlyViewed);
@@ -2495,25 +2722,12 @@ class ProductForm extends HTMLFormElement {
 
     this.displayFormErrors();
 
-    let sectionsToBundle = [];
-    document.documentElement.dispatchEvent(
-      new CustomEvent('cart:grouped-sections', { bubbles: true, detail: { sections: sectionsToBundle } })
-    );
-
-    const config = FoxTheme.utils.fetchConfig('javascript');
-    config.headers['X-Requested-With'] = 'XMLHttpRequest';
-    delete config.headers['Content-Type'];
-
     this.formData = new FormData(this);
-    this.formData.append('sections', sectionsToBundle);
-    this.formData.append('sections_url', window.location.pathname);
-
-    config.body = this.formData;
 
     this.submitButtonElement.setAttribute('aria-disabled', 'true');
     this.submitButtonElement.classList.add('btn--loading');
 
-    this.handleFormSubmission(config);
+    this.handleFormSubmission();
   };
 
   displayFormErrors = (errorMessage = false) => {
@@ -2530,25 +2744,19 @@ class ProductForm extends HTMLFormElement {
     }
   };
 
-  handleFormSubmission = (config) => {
-    fetch(`${FoxTheme.routes.cart_add_url}`, config)
-      .then((response) => response.json())
-      .then(async (parsedState) => {
-        if (parsedState.status) {
-          this.handleCartError(parsedState);
-          return;
-        }
-
-        const cartJson = await (await fetch(`${FoxTheme.routes.cart_url}`, { ...FoxTheme.utils.fetchConfig() })).json();
-        cartJson['sections'] = parsedState['sections'];
-
-        this.updateCartState(cartJson);
-        this.dispatchProductAddedEvent(parsedState);
-
+  handleFormSubmission = () => {
+    FoxTheme.cart
+      .add(this.formData)
+      .then((cart) => {
+        this.dispatchProductAddedEvent(cart.added);
         this.showCartDrawer();
       })
       .catch((error) => {
-        console.log(error);
+        if (error.status) {
+          this.handleCartError(error);
+        } else {
+          console.log(error);
+        }
       })
       .finally(() => {
         this.submitButtonElement.classList.remove('btn--loading');
@@ -2560,29 +2768,25 @@ class ProductForm extends HTMLFormElement {
       });
   };
 
-  handleCartError = (parsedState) => {
+  handleCartError = (error) => {
     FoxTheme.pubsub.publish(FoxTheme.pubsub.PUB_SUB_EVENTS.cartError, {
       source: 'product-form',
       productVariantId: this.formData.get('id'),
-      errors: parsedState.errors || parsedState.description,
-      message: parsedState.message,
+      errors: error.errors || error.description,
+      message: error.message,
     });
 
-    this.displayFormErrors(parsedState.description);
+    this.displayFormErrors(error.message);
     document.dispatchEvent(
       new CustomEvent('product-ajax:error', {
         detail: {
-          errorMessage: parsedState.description,
+          errorMessage: error.message,
         },
       })
     );
     this.hasError = true;
   };
 
-  updateCartState = (cartJson) => {
-    FoxTheme.pubsub.publish(FoxTheme.pubsub.PUB_SUB_EVENTS.cartUpdate, { cart: cartJson });
-  };
-
   dispatchProductAddedEvent = (parsedState) => {
     document.dispatchEvent(
       new CustomEvent('product-ajax:added', {
@@ -16,11 +16,20 @@
     storeCreditBonus: 0.10, // 10%
     freeShippingThreshold: 5000, // £50 in pence
     conditions: [
-      { code: 'NM', name: 'Near Mint', multiplier: 0.70 },
-      { code: 'LP', name: 'Lightly Played', multiplier: 0.55 },
-      { code: 'MP', name: 'Moderately Played', multiplier: 0.40 },
-      { code: 'HP', name: 'Heavily Played', multiplier: 0.25 },
-      { code: 'DMG', name: 'Damaged', multiplier: 0.10 }
+      { code: 'NM', name: 'Near Mint', multiplier: 0.70, description: 'Perfect or near-perfect condition' },
+      { code: 'LP', name: 'Lightly Played', multiplier: 0.55, description: 'Minor wear, slight edge whitening' },
+      { code: 'MP', name: 'Moderately Played', multiplier: 0.40, description: 'Noticeable wear, still sleeved playable' },
+      { code: 'HP', name: 'Heavily Played', multiplier: 0.25, description: 'Significant wear, creases, or damage' },
+      { code: 'DMG', name: 'Damaged', multiplier: 0.10, description: 'Major damage, tears, or stains' }
+    ],
+    defaultGame: 'onepiece',
+    games: [
+      { id: 'onepiece', name: 'One Piece', enabled: true }
+    ],
+    // Payout methods offered, in display order - see PAYOUT_METHOD_TYPES
+    payoutMethods: [
+      { code: 'STORE_CREDIT', recommended: true },
+      { code: 'BANK' }
     ]
   };
 
@@ -34,6 +43,14 @@
     storeCreditBonus: DEFAULT_CONFIG.storeCreditBonus,
     freeShippingThreshold: DEFAULT_CONFIG.freeShippingThreshold,
     conditions: [...DEFAULT_CONFIG.conditions],
+    // Game catalogue - page JSON, then /settings, can replace the defaults
+    defaultGame: DEFAULT_CONFIG.defaultGame,
+    games: DEFAULT_CONFIG.games.map(normalizeGame),
+    payoutMethods: [...DEFAULT_CONFIG.payoutMethods],
+    // Currency that quotes are priced in (minor units) - the shop's base currency by default
+    currency: 'GBP',
+    shopCurrency: 'GBP',
+    showConvertedPrices: false,
     // Flag to track if config was loaded
     configLoaded: false
   };
@@ -65,6 +82,13 @@
       if (data.conditions && Array.isArray(data.conditions)) {
         CONFIG.conditions = data.conditions;
       }
+      if (data.currency) {
+        CONFIG.currency = data.currency;
+      }
+      if (Array.isArray(data.payoutMethods) && data.payoutMethods.length > 0) {
+        CONFIG.payoutMethods = data.payoutMethods;
+      }
+      applyGameCatalogue(data);
 
       CONFIG.configLoaded = true;
       console.log('Trade-in config loaded from server');
@@ -73,6 +97,255 @@
     }
   }
 
+  // ============================================================================
+  // Game Catalogue
+  // ============================================================================
+
+  /**
+   * Normalize a game entry from the page catalogue or /settings
+   * { id, name, enabled, badge, conditions, filters: { sets, languages } }
+   */
+  function normalizeGame(game) {
+    const id = game.id || game.code;
+    const enabled = game.enabled !== false;
+    const filters = game.filters || {};
+
+    return {
+      id,
+      name: game.name || id,
+      enabled,
+      badge: game.badge || (enabled ? '' : 'Coming Soon'),
+      // Per-game condition scale, falling back to CONFIG.conditions
+      conditions: Array.isArray(game.conditions) && game.conditions.length > 0 ? game.conditions : null,
+      filters: {
+        sets: filters.sets !== false,
+        languages: filters.languages !== false
+      }
+    };
+  }
+
+  function applyGameCatalogue(data) {
+    if (Array.isArray(data.games) && data.games.length > 0) {
+      CONFIG.games = data.games.filter(game => game && (game.id || game.code)).map(normalizeGame);
+    }
+    if (data.defaultGame) {
+      CONFIG.defaultGame = data.defaultGame;
+    }
+  }
+
+  /**
+   * Read the catalogue rendered into the page (<script type="application/json" data-trade-in-games>)
+   */
+  function loadPageCatalogue(form) {
+    const script = form.querySelector('[data-trade-in-games]');
+    if (!script) return;
+
+    try {
+      applyGameCatalogue(JSON.parse(script.textContent));
+    } catch (err) {
+      console.warn('Invalid trade-in game catalogue in page:', err);
+    }
+  }
+
+  function getGame(id) {
+    return CONFIG.games.find(game => game.id === id && game.enabled) || null;
+  }
+
+  function getConditions(gameId = state.currentGame) {
+    const game = getGame(gameId);
+    return (game && game.conditions) || CONFIG.conditions;
+  }
+
+  function getInitialGame(requested) {
+    const game = getGame(requested) || getGame(CONFIG.defaultGame) || CONFIG.games.find(g => g.enabled);
+    return game ? game.id : CONFIG.defaultGame;
+  }
+
+  // ============================================================================
+  // Payout Methods
+  // ============================================================================
+
+  /**
+   * Field validators - return an error message, or null when the value is valid.
+   * /settings refers to these by name so new methods need no code here.
+   */
+  const PAYOUT_VALIDATORS = {
+    sortCode: value => /^\d{6}$/.test(value) ? null : 'Please enter a valid 6-digit sort code (e.g. 12-34-56)',
+    ukAccountNumber: value => /^\d{8}$/.test(value) ? null : 'Please enter a valid 8-digit account number',
+    iban: value => isValidIban(value) ? null : 'Please enter a valid IBAN - check for typos',
+    bic: value => /^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(value) ? null : 'Please enter a valid 8 or 11 character BIC/SWIFT code',
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? null : 'Please enter a valid email address'
+  };
+
+  // Applied to the value before validation and submission
+  const PAYOUT_NORMALIZERS = {
+    trim: value => value.trim(),
+    digits: value => value.replace(/[^0-9]/g, ''),
+    compact: value => value.replace(/\s/g, '').toUpperCase()
+  };
+
+  // Applied while typing
+  const PAYOUT_FORMATTERS = {
+    sortCode: (value) => {
+      const digits = value.replace(/[^0-9]/g, '').slice(0, 6);
+      return digits.match(/.{1,2}/g)?.join('-') || '';
+    },
+    digits: (value, field) => value.replace(/[^0-9]/g, '').slice(0, field.maxlength || undefined),
+    iban: value => value.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 34).replace(/(.{4})(?=.)/g, '$1 '),
+    upper: value => value.toUpperCase().replace(/\s/g, '')
+  };
+
+  /**
+   * Built-in payout methods. /settings picks which are offered (payoutMethods) and can
+   * override any property, or describe a new method whose fields use the validators above.
+   * bonus: fraction added to the payout; null uses the shop-wide storeCreditBonus.
+   */
+  const PAYOUT_METHOD_TYPES = {
+    STORE_CREDIT: {
+      name: 'Store Credit',
+      description: 'Use towards any purchase',
+      bonus: null,
+      fields: []
+    },
+    BANK: {
+      name: 'Bank Transfer',
+      description: 'Direct to your UK bank account',
+      bonus: 0,
+      fields: [
+        { name: 'bankAccountName', label: 'Account Holder Name', placeholder: 'John Smith', required: true, normalize: 'trim', full: true },
+        { name: 'bankSortCode', label: 'Sort Code', placeholder: '12-34-56', hint: '6 digits, e.g. 12-34-56', required: true, maxlength: 8, inputmode: 'numeric', format: 'sortCode', normalize: 'digits', validate: 'sortCode' },
+        { name: 'bankAccountNumber', label: 'Account Number', placeholder: '12345678', hint: '8 digits', required: true, maxlength: 8, inputmode: 'numeric', format: 'digits', normalize: 'digits', validate: 'ukAccountNumber' }
+      ]
+    },
+    IBAN: {
+      name: 'SEPA Bank Transfer',
+      description: 'To any IBAN in the SEPA area',
+      bonus: 0,
+      fields: [
+        { name: 'ibanAccountName', label: 'Account Holder Name', placeholder: 'Jane Smith', required: true, normalize: 'trim', full: true },
+        { name: 'iban', label: 'IBAN', placeholder: 'DE89 3704 0044 0532 0130 00', required: true, maxlength: 42, format: 'iban', normalize: 'compact', validate: 'iban', full: true },
+        { name: 'bic', label: 'BIC / SWIFT', placeholder: 'COBADEFFXXX', hint: 'Optional for most SEPA banks', maxlength: 11, format: 'upper', normalize: 'compact', validate: 'bic' }
+      ]
+    },
+    PAYPAL: {
+      name: 'PayPal',
+      description: 'Sent to your PayPal account',
+      bonus: 0,
+      fields: [
+        { name: 'paypalEmail', label: 'PayPal Email', type: 'email', placeholder: 'you@example.com', required: true, normalize: 'trim', validate: 'email', full: true }
+      ]
+    }
+  };
+
+  /**
+   * ISO 13616 check: move the country code and check digits to the end,
+   * turn letters into numbers (A=10 ... Z=35) and the result mod 97 must be 1
+   */
+  function isValidIban(iban) {
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+
+    const rearranged = iban.slice(4) + iban.slice(0, 4);
+    let remainder = 0;
+    for (const char of rearranged) {
+      const digits = char >= 'A' ? String(char.charCodeAt(0) - 55) : char;
+      for (const digit of digits) {
+        remainder = (remainder * 10 + Number(digit)) % 97;
+      }
+    }
+    return remainder === 1;
+  }
+
+  /**
+   * Merge a /settings entry over its built-in definition
+   * @returns {Object|null} null for disabled entries
+   */
+  function normalizePayoutMethod(entry) {
+    const code = typeof entry === 'string' ? entry : entry && entry.code;
+    if (!code || entry.enabled === false) return null;
+
+    const base = PAYOUT_METHOD_TYPES[code] || { name: code, description: '', bonus: 0, fields: [] };
+    const method = { ...base, ...(typeof entry === 'object' ? entry : {}), code };
+
+    return {
+      code,
+      name: method.name,
+      description: method.description || '',
+      badge: method.badge || (method.recommended ? 'Recommended' : ''),
+      recommended: Boolean(method.recommended),
+      bonus: typeof method.bonus === 'number' ? method.bonus : null,
+      fields: Array.isArray(method.fields) ? method.fields.filter(field => field && field.name) : []
+    };
+  }
+
+  function getPayoutMethods() {
+    return CONFIG.payoutMethods.map(normalizePayoutMethod).filter(Boolean);
+  }
+
+  function getPayoutMethod(code = state.payoutType) {
+    const methods = getPayoutMethods();
+    return methods.find(method => method.code === code) ||
+      methods.find(method => method.recommended) ||
+      methods[0] ||
+      normalizePayoutMethod('STORE_CREDIT');
+  }
+
+  function getPayoutBonus(method) {
+    return method.bonus === null ? CONFIG.storeCreditBonus : method.bonus;
+  }
+
+  function getPayoutTotal(method, subtotal) {
+    return Math.floor(subtotal * (1 + getPayoutBonus(method)));
+  }
+
+  function getPayoutLabel(method) {
+    const bonus = getPayoutBonus(method);
+    return bonus > 0 ? `${method.name} (${formatBonusLabel(bonus)})` : method.name;
+  }
+
+  /**
+   * Normalize and validate the selected method's details
+   * @returns {{values: Object, error: string|null, field: Object|null}}
+   */
+  function validatePayoutDetails(method) {
+    const values = {};
+
+    for (const field of method.fields) {
+      const normalize = PAYOUT_NORMALIZERS[field.normalize] || PAYOUT_NORMALIZERS.trim;
+      const value = normalize(String(state.payoutDetails[field.name] || ''));
+
+      if (!value) {
+        if (field.required) {
+          return { values, error: `Please enter your ${field.label.toLowerCase()} for ${method.name.toLowerCase()}`, field };
+        }
+        continue;
+      }
+
+      const validate = PAYOUT_VALIDATORS[field.validate];
+      const error = validate ? validate(value, field) : null;
+      if (error) return { values, error: field.error || error, field };
+
+      values[field.name] = value;
+    }
+
+    return { values, error: null, field: null };
+  }
+
+  // The submissions endpoint reads bank transfer details from the top level of the payload
+  const LEGACY_BANK_FIELDS = ['bankAccountName', 'bankSortCode', 'bankAccountNumber'];
+
+  /**
+   * Top-level copies of the details the submissions endpoint expects outside payoutDetails
+   */
+  function getLegacyPayoutFields(methodCode, values) {
+    if (methodCode !== 'BANK') return {};
+
+    const fields = {};
+    LEGACY_BANK_FIELDS.forEach(name => {
+      if (values[name]) fields[name] = values[name];
+    });
+    return fields;
+  }
+
   // ============================================================================
   // State
   // ============================================================================
@@ -81,14 +354,25 @@
     cart: [],
     selectedCard: null,
     searchAbortController: null,
+    // Full searches (Enter, URL and history restores) aren't cancelled by typeahead
+    fullSearchAbortController: null,
     browseAbortController: null,
     currentPage: 1,
     totalPages: 1,
-    currentGame: 'onepiece',
+    currentGame: null,
     currentLanguage: '',
     currentSet: '',
+    searchQuery: '',
     sets: [],
-    languages: []
+    languages: [],
+    importRows: [],
+    repricing: false,
+    repriceRun: 0,
+    pendingSubmissions: [],
+    queueFlushing: false,
+    queueRetryTimer: null,
+    payoutType: null,
+    payoutDetails: {}
   };
 
   // ============================================================================
@@ -122,8 +406,15 @@
   // Utilities
   // ============================================================================
 
-  function formatPrice(pence) {
-    return '£' + (pence / 100).toFixed(2);
+  /**
+   * Format a quote given in minor units of CONFIG.currency - see trade-in-currency.js
+   */
+  function formatPrice(minorUnits) {
+    return TradeInCurrency.formatPrice(minorUnits, CONFIG);
+  }
+
+  function formatBonusLabel(bonus) {
+    return `+${Math.round(bonus * 100)}%`;
   }
 
   function debounce(fn, delay) {
@@ -134,6 +425,20 @@
     };
   }
 
+  /**
+   * Run an async task for each item with at most `limit` running at once
+   */
+  async function forEachWithConcurrency(items, limit, task) {
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const item = items[next++];
+        await task(item);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  }
+
   function escapeHtml(text) {
     if (!text) return '';
     const div = document.createElement('div');
@@ -188,8 +493,9 @@
    * API Response Formats:
    * - Search API: { id, cardName, bestPriceGbp, prices: { NM, LP, MP, HP, DMG } }
    * - Browse API: { cardId, name, prices: { market, tradein: { NM, LP, MP, HP, DMG } } }
+   * @param {string} game - Game for cards the API doesn't tag, defaults to the current tab
    */
-  function normalizeCardData(card, source = 'browse') {
+  function normalizeCardData(card, source = 'browse', game = state.currentGame) {
     // Handle different field names between search and browse APIs
     const cardId = card.cardId || card.id;
     const name = card.name || card.cardName;
@@ -238,6 +544,7 @@
       cardNumber,
       variantType,
       fullCardNumber,
+      game: card.game || game,
       rarity: card.rarity || '',
       imageUrl: card.imageUrl || null,
       bestPriceGbp,
@@ -246,15 +553,19 @@
     };
   }
 
-  async function searchCards(query, limit = 10) {
-    if (state.searchAbortController) {
-      state.searchAbortController.abort();
+  /**
+   * @param {string} controllerKey - State key of the AbortController this request replaces
+   */
+  async function searchCards(query, limit = 10, controllerKey = 'searchAbortController') {
+    if (state[controllerKey]) {
+      state[controllerKey].abort();
     }
-    state.searchAbortController = new AbortController();
+    const controller = new AbortController();
+    state[controllerKey] = controller;
 
     try {
       const url = `${CONFIG.apiBase}/cards/search?q=${encodeURIComponent(query)}&limit=${limit}`;
-      const response = await fetch(url, { signal: state.searchAbortController.signal });
+      const response = await fetch(url, { signal: controller.signal });
       if (!response.ok) throw new Error(`HTTP ${response.status}`);
       const data = await response.json();
 
@@ -277,20 +588,30 @@
   async function fullSearch(query) {
     const browseGrid = document.querySelector('[data-browse-grid]');
     const browseSection = document.querySelector('[data-browse-section]');
+    const pagination = document.querySelector('[data-browse-pagination]');
+    const searchHeader = document.querySelector('[data-search-header]');
+    const sectionTitle = document.querySelector('[data-browse-title]');
 
     if (!browseGrid) return;
 
+    state.searchQuery = query;
+
     // Show loading state in browse grid
     browseGrid.innerHTML = '<div class="trade-in-browse__loading"><div class="trade-in-spinner"></div> Searching for all matches...</div>';
     if (browseSection) browseSection.hidden = false;
+    if (pagination) pagination.hidden = true;
+    if (searchHeader) searchHeader.hidden = false;
+    if (sectionTitle) sectionTitle.textContent = `Search results for "${query}"`;
 
     try {
       // Search with higher limit to get all matching cards
-      const data = await searchCards(query, 50);
+      const data = await searchCards(query, 50, 'fullSearchAbortController');
+
+      // Superseded by navigation or a newer full search while the request was in flight
+      if (data === null || state.searchQuery !== query) return;
 
       if (data && data.cards && data.cards.length > 0) {
         // Update section title to show search results
-        const sectionTitle = document.querySelector('[data-browse-title]');
         if (sectionTitle) {
           sectionTitle.textContent = `Search results for "${query}" (${data.cards.length} cards)`;
         }
@@ -304,7 +625,7 @@
     }
   }
 
-  async function browseCards(page = 1, game = 'onepiece', language = '', set = '') {
+  async function browseCards(page = 1, game = state.currentGame, language = '', set = '') {
     if (state.browseAbortController) {
       state.browseAbortController.abort();
     }
@@ -330,7 +651,7 @@
     }
   }
 
-  async function fetchSets(game = 'onepiece') {
+  async function fetchSets(game = state.currentGame) {
     try {
       const data = await fetchWithCache(`${CONFIG.apiBase}/cards/sets?game=${encodeURIComponent(game)}`);
       return data.sets || [];
@@ -340,7 +661,7 @@
     }
   }
 
-  async function fetchLanguages(game = 'onepiece') {
+  async function fetchLanguages(game = state.currentGame) {
     try {
       const data = await fetchWithCache(`${CONFIG.apiBase}/cards/languages?game=${encodeURIComponent(game)}`);
       return data.languages || [];
@@ -350,54 +671,262 @@
     }
   }
 
+  /**
+   * POST a submission to the app proxy
+   * The idempotency key lets the backend discard duplicates when a queued
+   * submission is retried after the first attempt actually reached the server.
+   * Errors are flagged `retryable` when the request should be queued for later.
+   */
   async function submitTradeIn(formData) {
-    const response = await fetch(`${CONFIG.apiBase}/submissions`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(formData)
-    });
+    let response;
+    try {
+      response = await fetch(`${CONFIG.apiBase}/submissions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': formData.idempotencyKey
+        },
+        body: JSON.stringify(formData)
+      });
+    } catch (err) {
+      // fetch only rejects on network failure
+      const networkError = new Error('You appear to be offline');
+      networkError.retryable = true;
+      throw networkError;
+    }
 
     if (!response.ok) {
       const error = await response.json().catch(() => ({}));
-      throw new Error(error.message || 'Submission failed');
+      const submitError = new Error(error.message || 'Submission failed');
+      // Timeouts, rate limits and server errors are transient; validation errors are not
+      submitError.retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+      throw submitError;
     }
 
     return await response.json();
   }
 
+  // ============================================================================
+  // Submission Queue (offline support)
+  // ============================================================================
+
+  const QUEUE_DB_NAME = 'tradeInQueue';
+  const QUEUE_STORE = 'submissions';
+  const QUEUE_RETRY_BASE_MS = 2000;
+  const QUEUE_RETRY_MAX_MS = 5 * 60 * 1000; // 5 minutes
+
+  let queueDbPromise = null;
+
+  function openQueueDb() {
+    if (queueDbPromise) return queueDbPromise;
+
+    queueDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB not supported'));
+        return;
+      }
+
+      const request = indexedDB.open(QUEUE_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+          db.createObjectStore(QUEUE_STORE, { keyPath: 'idempotencyKey' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later call to try again (e.g. private browsing blocked the first open)
+    queueDbPromise.catch(() => {
+      queueDbPromise = null;
+    });
+
+    return queueDbPromise;
+  }
+
+  async function queueRequest(mode, operation) {
+    const db = await openQueueDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(QUEUE_STORE, mode);
+      const request = operation(tx.objectStore(QUEUE_STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function getQueuedSubmissions() {
+    return queueRequest('readonly', store => store.getAll());
+  }
+
+  function putQueuedSubmission(entry) {
+    return queueRequest('readwrite', store => store.put(entry));
+  }
+
+  function deleteQueuedSubmission(idempotencyKey) {
+    return queueRequest('readwrite', store => store.delete(idempotencyKey));
+  }
+
+  function createIdempotencyKey() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+    return 'ti-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+  }
+
+  function getRetryDelay(attempts) {
+    // Exponential backoff with jitter so queued devices don't retry in lockstep
+    const delay = Math.min(QUEUE_RETRY_BASE_MS * Math.pow(2, attempts), QUEUE_RETRY_MAX_MS);
+    return Math.floor(delay * (0.75 + Math.random() * 0.5));
+  }
+
+  async function enqueueSubmission(payload, summary) {
+    await putQueuedSubmission({
+      idempotencyKey: payload.idempotencyKey,
+      payload,
+      summary,
+      createdAt: Date.now(),
+      attempts: 0,
+      nextAttemptAt: Date.now() + getRetryDelay(0)
+    });
+    await refreshPendingSync();
+    scheduleQueueRetry();
+  }
+
+  /**
+   * Retry queued submissions whose backoff has elapsed
+   * @param {boolean} force - Ignore backoff (connectivity returned or customer clicked retry)
+   */
+  async function flushSubmissionQueue(force = false) {
+    if (state.queueFlushing) return;
+    if (navigator.onLine === false) {
+      renderPendingSync();
+      return;
+    }
+
+    state.queueFlushing = true;
+    clearTimeout(state.queueRetryTimer);
+    renderPendingSync();
+
+    try {
+      const entries = await getQueuedSubmissions();
+      for (const entry of entries) {
+        if (!force && entry.nextAttemptAt > Date.now()) continue;
+
+        try {
+          const result = await submitTradeIn(entry.payload);
+          await deleteQueuedSubmission(entry.idempotencyKey);
+          handleQueuedSubmissionSynced(entry, result);
+        } catch (err) {
+          if (!err.retryable) {
+            await deleteQueuedSubmission(entry.idempotencyKey);
+            console.error('Queued submission rejected:', err);
+            showError(`Your queued trade-in could not be submitted: ${err.message}`);
+            continue;
+          }
+          entry.attempts += 1;
+          entry.nextAttemptAt = Date.now() + getRetryDelay(entry.attempts);
+          await putQueuedSubmission(entry);
+        }
+      }
+    } catch (err) {
+      console.error('Failed to process submission queue:', err);
+    } finally {
+      state.queueFlushing = false;
+      await refreshPendingSync();
+      scheduleQueueRetry();
+    }
+  }
+
+  function scheduleQueueRetry() {
+    clearTimeout(state.queueRetryTimer);
+    if (state.pendingSubmissions.length === 0) return;
+
+    const nextAttemptAt = Math.min(...state.pendingSubmissions.map(entry => entry.nextAttemptAt));
+    state.queueRetryTimer = setTimeout(() => flushSubmissionQueue(), Math.max(0, nextAttemptAt - Date.now()));
+  }
+
+  function handleQueuedSubmissionSynced(entry, result) {
+    showToast(`Trade-in ${result.submissionNumber} submitted`, 'success');
+
+    // Only take over the page if the customer hasn't started a new list
+    const successEl = document.querySelector('[data-success-state]');
+    if (state.cart.length === 0 && successEl && successEl.hidden) {
+      renderSuccess(result, entry.summary);
+    }
+  }
+
+  async function refreshPendingSync() {
+    try {
+      state.pendingSubmissions = await getQueuedSubmissions();
+    } catch (err) {
+      state.pendingSubmissions = [];
+    }
+    renderPendingSync();
+  }
+
   // ============================================================================
   // Cart Management
   // ============================================================================
 
   // Cart version - increment when cart data structure changes
-  const CART_VERSION = 2;
+  const CART_VERSION = 3;
+  // Older versions that upgradeCartItem can still read - v2 items had no game
+  const UPGRADABLE_CART_VERSIONS = [2];
+
+  function isValidCartItem(item) {
+    return Boolean(item && item.cardId && item.name && item.condition);
+  }
+
+  function isReadableCartVersion(version) {
+    return version === CART_VERSION || UPGRADABLE_CART_VERSIONS.includes(version);
+  }
 
-  function loadCart() {
+  function upgradeCartItem(item) {
+    return item.game ? item : { ...item, game: getInitialGame() };
+  }
+
+  /**
+   * Load the cart from localStorage, or from a shared/exported list
+   * @param {{version: number, items: Array}} [imported] - List from a share link or JSON export
+   * @returns {boolean} Whether an imported list was applied
+   */
+  function loadCart(imported) {
+    const applied = imported ? restoreImportedCart(imported) : loadSavedCart();
+
+    // Saved quotes go stale - check them against current prices in the background
+    if (state.cart.length > 0) revalidateCartPrices();
+
+    return applied;
+  }
+
+  function loadSavedCart() {
     try {
       const saved = localStorage.getItem('tradeInCart');
       const savedVersion = localStorage.getItem('tradeInCartVersion');
 
       // Clear cart if version mismatch (data structure changed)
-      if (savedVersion !== String(CART_VERSION)) {
+      if (!isReadableCartVersion(Number(savedVersion))) {
         console.log('Trade-in cart version mismatch, clearing old cart data');
         localStorage.removeItem('tradeInCart');
         localStorage.setItem('tradeInCartVersion', String(CART_VERSION));
         state.cart = [];
-        return;
+        return false;
       }
 
       if (saved) {
         const parsedCart = JSON.parse(saved);
         // Validate cart items have required fields
         state.cart = parsedCart.filter(item => {
-          const isValid = item && item.cardId && item.name && item.condition;
+          const isValid = isValidCartItem(item);
           if (!isValid) {
             console.warn('Removing invalid cart item:', item);
           }
           return isValid;
-        });
-        // Re-save if we filtered out invalid items
-        if (state.cart.length !== parsedCart.length) {
+        }).map(upgradeCartItem);
+        // Re-save if we filtered out invalid items or upgraded an older version
+        if (state.cart.length !== parsedCart.length || savedVersion !== String(CART_VERSION)) {
           saveCart();
         }
       }
@@ -405,6 +934,44 @@
       console.error('Error loading cart:', e);
       state.cart = [];
     }
+    return false;
+  }
+
+  function restoreImportedCart(imported) {
+    if (!imported || !Array.isArray(imported.items)) {
+      showToast('That trade-in list could not be read');
+      return false;
+    }
+
+    // Lists from an older/newer data structure can't be mapped safely
+    if (!isReadableCartVersion(imported.version)) {
+      console.warn(`Shared trade-in list version ${imported.version} does not match ${CART_VERSION}`);
+      showToast('This shared list was made with a different version of the trade-in tool and can\'t be opened');
+      return false;
+    }
+
+    const items = imported.items
+      .filter(isValidCartItem)
+      .map(upgradeCartItem)
+      .map(item => ({
+        ...item,
+        lineId: createIdempotencyKey(),
+        quantity: Math.max(1, Math.min(99, parseInt(item.quantity, 10) || 1)),
+        pricePerItem: Number(item.pricePerItem) || 0
+      }));
+
+    if (items.length === 0) {
+      showToast('The shared list is empty');
+      return false;
+    }
+
+    if (state.cart.length > 0 && !confirm(`Replace your current trade-in list with the shared list (${items.length} items)?`)) {
+      return false;
+    }
+
+    state.cart = items;
+    saveCart();
+    return true;
   }
 
   function saveCart() {
@@ -417,6 +984,8 @@
   }
 
   function clearCart() {
+    photoUploads.forEach(upload => URL.revokeObjectURL(upload.previewUrl));
+    photoUploads.clear();
     state.cart = [];
     saveCart();
     renderCart();
@@ -424,6 +993,25 @@
   }
 
   function addToCart(card, condition, quantity = 1) {
+    addCartItem(card, condition, quantity);
+    saveCart();
+    renderCart();
+    updateFormSections();
+    showToast(`Added ${card.name} to trade-in`, 'success');
+  }
+
+  /**
+   * Add several cards at once with a single save/render (used by bulk import)
+   * @param {Array<{card: Object, condition: string, quantity: number}>} entries
+   */
+  function addManyToCart(entries) {
+    entries.forEach(({ card, condition, quantity }) => addCartItem(card, condition, quantity));
+    saveCart();
+    renderCart();
+    updateFormSections();
+  }
+
+  function addCartItem(card, condition, quantity) {
     const existingIndex = state.cart.findIndex(
       item => item.cardId === card.cardId && item.condition === condition
     );
@@ -431,27 +1019,16 @@
     if (existingIndex >= 0) {
       state.cart[existingIndex].quantity += quantity;
     } else {
-      // Use pre-calculated price from API (already has condition multiplier applied)
-      // This avoids double-discount - API applies multipliers to market price
-      let price = 0;
-      if (card.prices && typeof card.prices[condition] === 'number') {
-        // Price is in pence from API
-        price = card.prices[condition];
-      } else {
-        // Fallback: calculate from market price if API didn't provide condition prices
-        const conditionData = CONFIG.conditions.find(c => c.code === condition);
-        if (conditionData && card.bestPriceGbp) {
-          // bestPriceGbp is now in pence from API
-          price = Math.floor(card.bestPriceGbp * conditionData.multiplier);
-        }
-      }
+      const price = getConditionPrice(card, condition);
 
       state.cart.push({
+        lineId: createIdempotencyKey(),
         cardId: card.cardId,
         name: card.name,
         set: card.fullCardNumber || card.setCode,
         setCode: card.setCode || null,
         variantType: card.variantType || null,
+        game: card.game || state.currentGame,
         imageUrl: card.imageUrl,
         condition,
         quantity,
@@ -459,15 +1036,28 @@
         basePriceGbp: card.bestPriceGbp
       });
     }
+  }
 
-    saveCart();
-    renderCart();
-    updateFormSections();
-    showToast(`Added ${card.name} to trade-in`, 'success');
+  function getConditionPrice(card, condition) {
+    // Use pre-calculated price from API (already has condition multiplier applied)
+    // This avoids double-discount - API applies multipliers to market price
+    if (card.prices && typeof card.prices[condition] === 'number') {
+      // Price is in pence from API
+      return card.prices[condition];
+    }
+
+    // Fallback: calculate from market price if API didn't provide condition prices
+    const conditionData = getConditions(card.game).find(c => c.code === condition);
+    if (conditionData && card.bestPriceGbp) {
+      // bestPriceGbp is now in pence from API
+      return Math.floor(card.bestPriceGbp * conditionData.multiplier);
+    }
+    return 0;
   }
 
   function removeFromCart(index) {
-    state.cart.splice(index, 1);
+    const [removed] = state.cart.splice(index, 1);
+    if (removed) PHOTO_SIDES.forEach(side => removeItemPhoto(removed, side));
     saveCart();
     renderCart();
     updateFormSections();
@@ -483,12 +1073,541 @@
     updateFormSections();
   }
 
+  // ============================================================================
+  // Photo Evidence
+  // ============================================================================
+
+  const PHOTO_SIDES = ['front', 'back'];
+  const PHOTO_MAX_DIMENSION = 1600;
+  const PHOTO_QUALITY = 0.82;
+  const PHOTO_AUTO_RETRIES = 2;
+
+  // In-flight uploads by "lineId:side" - { status, progress, blob, previewUrl, attempts }
+  const photoUploads = new Map();
+
+  function getLineId(item) {
+    // Items saved before photos existed have no line ID yet
+    if (!item.lineId) item.lineId = createIdempotencyKey();
+    return item.lineId;
+  }
+
+  function loadImageSource(file) {
+    if (typeof createImageBitmap === 'function') {
+      return createImageBitmap(file, { imageOrientation: 'from-image' });
+    }
+
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      const url = URL.createObjectURL(file);
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(img);
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('That file is not an image we can read'));
+      };
+      img.src = url;
+    });
+  }
+
+  /**
+   * Downscale and re-encode a photo as JPEG before upload
+   */
+  async function compressPhoto(file) {
+    const source = await loadImageSource(file);
+    const width = source.width;
+    const height = source.height;
+    const scale = Math.min(1, PHOTO_MAX_DIMENSION / Math.max(width, height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+    if (typeof source.close === 'function') source.close();
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', PHOTO_QUALITY));
+    if (!blob) throw new Error('Could not process that photo');
+
+    // Re-encoding a small, already-compressed image can make it bigger
+    return blob.size < file.size || !/^image\/(jpeg|png|webp)$/.test(file.type) ? blob : file;
+  }
+
+  /**
+   * Upload one photo, reporting progress (XHR - fetch has no upload progress)
+   * @returns {Promise<{id: string, url: string}>}
+   */
+  function uploadPhoto(blob, side, onProgress) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open('POST', `${CONFIG.apiBase}/uploads`);
+
+      xhr.upload.onprogress = (e) => {
+        if (e.lengthComputable) onProgress(e.loaded / e.total);
+      };
+      xhr.onload = () => {
+        let data = {};
+        try {
+          data = JSON.parse(xhr.responseText);
+        } catch (err) {
+          // Non-JSON error page
+        }
+        if (xhr.status >= 200 && xhr.status < 300 && data.id) {
+          resolve({ id: data.id, url: data.url || null });
+        } else {
+          reject(new Error(data.message || 'Photo upload failed'));
+        }
+      };
+      xhr.onerror = () => reject(new Error('Photo upload failed - check your connection'));
+
+      const body = new FormData();
+      body.append('file', blob, `${side}.jpg`);
+      body.append('side', side);
+      xhr.send(body);
+    });
+  }
+
+  async function startPhotoUpload(item, side, upload) {
+    const key = `${getLineId(item)}:${side}`;
+    upload.status = 'uploading';
+    upload.progress = 0;
+    photoUploads.set(key, upload);
+    renderPhotoSlot(item, side);
+
+    try {
+      const result = await uploadPhoto(upload.blob, side, (progress) => {
+        upload.progress = progress;
+        renderPhotoSlot(item, side, true);
+      });
+
+      // Removed or replaced while uploading
+      if (photoUploads.get(key) !== upload) return;
+
+      item.photos = { ...item.photos, [side]: result };
+      photoUploads.delete(key);
+      URL.revokeObjectURL(upload.previewUrl);
+      saveCart();
+    } catch (err) {
+      if (photoUploads.get(key) !== upload) return;
+
+      upload.attempts += 1;
+      if (upload.attempts <= PHOTO_AUTO_RETRIES) {
+        setTimeout(() => {
+          if (photoUploads.get(key) === upload) startPhotoUpload(item, side, upload);
+        }, getRetryDelay(upload.attempts));
+        return;
+      }
+
+      console.error('Photo upload failed:', err);
+      upload.status = 'failed';
+      upload.error = err.message;
+    }
+    renderPhotoSlot(item, side);
+  }
+
+  async function addItemPhoto(item, side, file) {
+    if (!file || !/^image\//.test(file.type)) {
+      showToast('Please choose an image file');
+      return;
+    }
+
+    try {
+      const blob = await compressPhoto(file);
+      removeItemPhoto(item, side);
+      startPhotoUpload(item, side, {
+        blob,
+        previewUrl: URL.createObjectURL(blob),
+        attempts: 0
+      });
+    } catch (err) {
+      console.error('Failed to process photo:', err);
+      showToast(err.message || 'Could not process that photo');
+    }
+  }
+
+  function removeItemPhoto(item, side) {
+    const key = `${getLineId(item)}:${side}`;
+    const upload = photoUploads.get(key);
+    if (upload) {
+      URL.revokeObjectURL(upload.previewUrl);
+      photoUploads.delete(key);
+    }
+    if (item.photos && item.photos[side]) {
+      const photos = { ...item.photos };
+      delete photos[side];
+      item.photos = photos;
+      saveCart();
+    }
+    renderPhotoSlot(item, side);
+  }
+
+  function retryItemPhoto(item, side) {
+    const upload = photoUploads.get(`${getLineId(item)}:${side}`);
+    if (!upload) return;
+    upload.attempts = 0;
+    startPhotoUpload(item, side, upload);
+  }
+
+  function getPhotoUploadStatus() {
+    const uploads = [...photoUploads.values()];
+    return {
+      uploading: uploads.filter(upload => upload.status === 'uploading').length,
+      failed: uploads.filter(upload => upload.status === 'failed').length
+    };
+  }
+
+  function getPhotoSlotHtml(item, side) {
+    const lineId = getLineId(item);
+    const upload = photoUploads.get(`${lineId}:${side}`);
+    const saved = item.photos && item.photos[side];
+    const label = side === 'front' ? 'Front' : 'Back';
+
+    if (upload) {
+      const percent = Math.round(upload.progress * 100);
+      return `
+        <img src="${upload.previewUrl}" alt="${label} photo" class="trade-in-photo__thumb">
+        ${upload.status === 'failed'
+          ? `<button type="button" class="trade-in-photo__retry" data-photo-retry="${lineId}" data-side="${side}" title="${escapeHtml(upload.error || 'Upload failed')}">Retry</button>`
+          : `<span class="trade-in-photo__progress" role="progressbar" aria-valuenow="${percent}" aria-valuemin="0" aria-valuemax="100"><span style="width: ${percent}%"></span></span>`}
+        <button type="button" class="trade-in-photo__remove" data-photo-remove="${lineId}" data-side="${side}" aria-label="Remove ${label.toLowerCase()} photo">×</button>
+      `;
+    }
+
+    if (saved) {
+      return `
+        ${saved.url ? `<img src="${escapeHtml(saved.url)}" alt="${label} photo" class="trade-in-photo__thumb">` : `<span class="trade-in-photo__done">${label} ✓</span>`}
+        <button type="button" class="trade-in-photo__remove" data-photo-remove="${lineId}" data-side="${side}" aria-label="Remove ${label.toLowerCase()} photo">×</button>
+      `;
+    }
+
+    return `
+      <label class="trade-in-photo__add">
+        <input type="file" accept="image/*" data-photo-input="${lineId}" data-side="${side}">
+        <span>+ ${label}</span>
+      </label>
+    `;
+  }
+
+  /**
+   * Re-render one photo slot without touching the rest of the cart
+   * @param {boolean} progressOnly - Only move the progress bar
+   */
+  function renderPhotoSlot(item, side, progressOnly = false) {
+    const slot = document.querySelector(`[data-photo-slot="${getLineId(item)}:${side}"]`);
+    if (!slot) return;
+
+    if (progressOnly) {
+      const upload = photoUploads.get(`${getLineId(item)}:${side}`);
+      const bar = slot.querySelector('.trade-in-photo__progress');
+      if (upload && bar) {
+        bar.setAttribute('aria-valuenow', Math.round(upload.progress * 100));
+        bar.firstElementChild.style.width = `${Math.round(upload.progress * 100)}%`;
+        return;
+      }
+    }
+
+    const upload = photoUploads.get(`${getLineId(item)}:${side}`);
+    slot.className = 'trade-in-photo' + (upload ? ` trade-in-photo--${upload.status}` : '');
+    slot.innerHTML = getPhotoSlotHtml(item, side);
+  }
+
+  function findItemByLineId(lineId) {
+    return state.cart.find(item => item.lineId === lineId) || null;
+  }
+
+  // ============================================================================
+  // Price Re-validation
+  // ============================================================================
+
+  const REPRICE_CONCURRENCY = 4;
+
+  /**
+   * Look up the current data for a saved cart item
+   * Searches by card number first, then by name, matching on cardId.
+   */
+  async function fetchCurrentCard(item) {
+    const queries = [item.set, item.name].filter(Boolean);
+
+    for (const query of queries) {
+      const url = `${CONFIG.apiBase}/cards/search?q=${encodeURIComponent(query)}&limit=20`;
+      const data = await fetchWithCache(url);
+      const match = (data.cards || data.results || [])
+        .map(card => normalizeCardData(card, 'search', item.game || state.currentGame))
+        .find(card => card.cardId === item.cardId);
+      if (match) return match;
+    }
+    return null;
+  }
+
+  /**
+   * Re-price saved items against the current search API
+   * Changed quotes are stored as `pendingPrice` and must be accepted before submitting.
+   */
+  async function revalidateCartPrices() {
+    const run = ++state.repriceRun;
+    const cardIds = [...new Set(state.cart.map(item => item.cardId))];
+    const currentCards = new Map();
+
+    state.repricing = true;
+    renderPriceChanges();
+
+    await forEachWithConcurrency(cardIds, REPRICE_CONCURRENCY, async (cardId) => {
+      const item = state.cart.find(cartItem => cartItem.cardId === cardId);
+      if (!item) return;
+      try {
+        const card = await fetchCurrentCard(item);
+        if (card) currentCards.set(cardId, card);
+      } catch (err) {
+        console.warn('Failed to re-price trade-in item:', item.name, err);
+      }
+    });
+
+    // A newer load (e.g. a shared list) replaced the cart while we were fetching
+    if (run !== state.repriceRun) return;
+    state.repricing = false;
+
+    state.cart.forEach(item => {
+      const card = currentCards.get(item.cardId);
+      if (!card) return;
+
+      const currentPrice = getConditionPrice(card, item.condition);
+      if (currentPrice > 0 && currentPrice !== item.pricePerItem) {
+        item.pendingPrice = currentPrice;
+      } else {
+        delete item.pendingPrice;
+      }
+      item.basePriceGbp = card.bestPriceGbp;
+      item.priceCheckedAt = Date.now();
+    });
+
+    saveCart();
+    renderCart();
+    updateFormSections();
+  }
+
+  function getPriceChanges() {
+    return state.cart.filter(item => typeof item.pendingPrice === 'number');
+  }
+
+  function acceptPriceChanges() {
+    getPriceChanges().forEach(item => {
+      item.pricePerItem = item.pendingPrice;
+      delete item.pendingPrice;
+    });
+    saveCart();
+    renderCart();
+    updateFormSections();
+    showToast('Updated prices accepted', 'success');
+  }
+
+  function renderPriceChanges() {
+    const banner = document.querySelector('[data-price-changes]');
+    if (!banner) return;
+
+    const changes = getPriceChanges();
+    const messageEl = banner.querySelector('[data-price-changes-message]');
+    const acceptBtn = banner.querySelector('[data-accept-prices]');
+
+    if (state.repricing) {
+      banner.hidden = false;
+      banner.classList.add('trade-in-price-changes--checking');
+      if (messageEl) messageEl.textContent = 'Checking your saved prices...';
+      if (acceptBtn) acceptBtn.hidden = true;
+      return;
+    }
+
+    banner.classList.remove('trade-in-price-changes--checking');
+    banner.hidden = changes.length === 0;
+    if (changes.length === 0) return;
+
+    const before = changes.reduce((sum, item) => sum + item.pricePerItem * item.quantity, 0);
+    const after = changes.reduce((sum, item) => sum + item.pendingPrice * item.quantity, 0);
+    const difference = after - before;
+
+    if (messageEl) {
+      messageEl.textContent = `Prices changed for ${changes.length} item${changes.length === 1 ? '' : 's'} since you saved your list ` +
+        `(${difference >= 0 ? '+' : '−'}${formatPrice(Math.abs(difference))} overall). Review and accept to continue.`;
+    }
+    if (acceptBtn) acceptBtn.hidden = false;
+  }
+
+  // ============================================================================
+  // Export & Share
+  // ============================================================================
+
+  const SHARE_HASH_KEY = 'trade-in-list';
+
+  // Positional fields keep share links short - only ever append, older links decode by position
+  const SHARE_FIELDS = [
+    'cardId', 'name', 'set', 'setCode', 'variantType', 'imageUrl', 'condition', 'quantity', 'pricePerItem', 'basePriceGbp',
+    'game'
+  ];
+
+  function bytesToBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function base64UrlToBytes(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '==='.slice((base64.length + 3) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+  }
+
+  /**
+   * Encode the cart for a share link
+   * Prefix "z" = deflate-compressed JSON, "j" = plain JSON (no CompressionStream support)
+   */
+  async function encodeShareList(cart) {
+    const json = JSON.stringify({
+      v: CART_VERSION,
+      i: cart.map(item => SHARE_FIELDS.map(field => (item[field] === undefined ? null : item[field])))
+    });
+
+    if (typeof CompressionStream === 'function') {
+      const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('deflate'));
+      const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+      return 'z' + bytesToBase64Url(bytes);
+    }
+    return 'j' + bytesToBase64Url(new TextEncoder().encode(json));
+  }
+
+  async function decodeShareList(encoded) {
+    const bytes = base64UrlToBytes(encoded.slice(1));
+    let json;
+
+    if (encoded[0] === 'z') {
+      if (typeof DecompressionStream !== 'function') {
+        throw new Error('This browser cannot open compressed share links');
+      }
+      const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+      json = await new Response(stream).text();
+    } else if (encoded[0] === 'j') {
+      json = new TextDecoder().decode(bytes);
+    } else {
+      throw new Error('Unknown share link format');
+    }
+
+    const data = JSON.parse(json);
+    return {
+      version: data.v,
+      items: (data.i || []).map(values => {
+        const item = {};
+        SHARE_FIELDS.forEach((field, index) => {
+          item[field] = values[index];
+        });
+        return item;
+      })
+    };
+  }
+
+  async function getShareUrl() {
+    const url = new URL(window.location.href);
+    url.hash = `${SHARE_HASH_KEY}=${await encodeShareList(state.cart)}`;
+    return url.toString();
+  }
+
+  /**
+   * Restore a list opened from a share link (#trade-in-list=...)
+   * The hash is removed afterwards so a refresh doesn't re-import it.
+   * @returns {Promise<boolean>} Whether the shared list replaced the cart
+   */
+  async function restoreSharedCart() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const encoded = params.get(SHARE_HASH_KEY);
+    if (!encoded) return false;
+
+    let restored = false;
+    try {
+      restored = loadCart(await decodeShareList(encoded));
+      if (restored) showToast(`Loaded shared trade-in list (${state.cart.length} items)`, 'success');
+    } catch (err) {
+      console.error('Failed to open shared trade-in list:', err);
+      showToast('That share link is invalid or incomplete');
+    }
+
+    const url = new URL(window.location.href);
+    url.hash = '';
+    window.history.replaceState(window.history.state, '', url.pathname + url.search);
+    return restored;
+  }
+
+  function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  function toCsvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * CSV columns match the bulk import headers, so an export can be re-imported
+   */
+  function exportCartCsv() {
+    const rows = [['Quantity', 'Card Name', 'Number', 'Condition', 'Variant', `Price Each (${CONFIG.currency})`, `Line Total (${CONFIG.currency})`]];
+    state.cart.forEach(item => {
+      rows.push([
+        item.quantity,
+        item.name,
+        item.set,
+        item.condition,
+        item.variantType || '',
+        TradeInCurrency.toMajorUnits(item.pricePerItem, CONFIG.currency),
+        TradeInCurrency.toMajorUnits(item.pricePerItem * item.quantity, CONFIG.currency)
+      ]);
+    });
+
+    const csv = rows.map(row => row.map(toCsvCell).join(',')).join('\n');
+    downloadFile(`trade-in-list-${new Date().toISOString().slice(0, 10)}.csv`, csv, 'text/csv');
+  }
+
+  function exportCartJson() {
+    const json = JSON.stringify({
+      version: CART_VERSION,
+      exportedAt: new Date().toISOString(),
+      items: state.cart
+    }, null, 2);
+    downloadFile(`trade-in-list-${new Date().toISOString().slice(0, 10)}.json`, json, 'application/json');
+  }
+
+  async function shareCart() {
+    if (state.cart.length === 0) return;
+
+    try {
+      const url = await getShareUrl();
+      if (navigator.share) {
+        try {
+          await navigator.share({ title: 'My trade-in list', url });
+          return;
+        } catch (err) {
+          // Cancelled by the customer - nothing else to do
+          if (err.name === 'AbortError') return;
+        }
+      }
+      await navigator.clipboard.writeText(url);
+      showToast('Share link copied to clipboard', 'success');
+    } catch (err) {
+      console.error('Failed to share trade-in list:', err);
+      showToast('Could not create a share link');
+    }
+  }
+
   function getCartTotals() {
     const itemCount = state.cart.reduce((sum, item) => sum + item.quantity, 0);
     const subtotal = state.cart.reduce((sum, item) => sum + (item.pricePerItem * item.quantity), 0);
-    const storeCreditTotal = Math.floor(subtotal * (1 + CONFIG.storeCreditBonus));
 
-    return { itemCount, subtotal, storeCreditTotal, bankTotal: subtotal };
+    return { itemCount, subtotal };
   }
 
   // ============================================================================
@@ -537,7 +1656,7 @@
           <span class="trade-in-search__result-name">${escapeHtml(card.name)}</span>
           <span class="trade-in-search__result-set">${escapeHtml(card.fullCardNumber || card.setCode)} ${card.variantType ? `(${escapeHtml(card.variantType)})` : ''}</span>
         </div>
-        <span class="trade-in-search__result-price">${formatPrice(card.prices && card.prices.NM ? card.prices.NM : Math.floor(card.bestPriceGbp * CONFIG.conditions[0].multiplier))}</span>
+        <span class="trade-in-search__result-price">${formatPrice(getConditionPrice(card, getConditions(card.game)[0].code))}</span>
       </button>
     `).join('');
 
@@ -562,12 +1681,12 @@
         <div class="trade-in-card__info">
           <span class="trade-in-card__name">${escapeHtml(card.name)}</span>
           <span class="trade-in-card__set">${escapeHtml(card.fullCardNumber || card.setCode)}</span>
-          <span class="trade-in-card__price">${formatPrice(card.prices && card.prices.NM ? card.prices.NM : Math.floor(card.bestPriceGbp * CONFIG.conditions[0].multiplier))}</span>
+          <span class="trade-in-card__price">${formatPrice(getConditionPrice(card, getConditions(card.game)[0].code))}</span>
         </div>
         <div class="trade-in-card__actions">
           <button type="button" class="trade-in-card__quick-add" data-quick-add="${i}">
             <svg viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M10 3a1 1 0 011 1v5h5a1 1 0 110 2h-5v5a1 1 0 11-2 0v-5H4a1 1 0 110-2h5V4a1 1 0 011-1z" clip-rule="evenodd"/></svg>
-            NM
+            ${escapeHtml(getConditions(card.game)[0].code)}
           </button>
           <button type="button" class="trade-in-card__more" data-more="${i}" title="Choose condition">
             <svg viewBox="0 0 20 20" fill="currentColor"><path d="M6 10a2 2 0 11-4 0 2 2 0 014 0zM12 10a2 2 0 11-4 0 2 2 0 014 0zM16 12a2 2 0 100-4 2 2 0 000 4z"/></svg>
@@ -623,6 +1742,7 @@
     const itemsEl = cartEl.querySelector('[data-cart-items]');
     const summaryEl = cartEl.querySelector('[data-cart-summary]');
     const clearBtn = cartEl.querySelector('[data-cart-clear]');
+    const shareActions = cartEl.querySelector('[data-cart-share-actions]');
     const badgeEl = cartEl.querySelector('.trade-in-cart__badge');
 
     const totals = getCartTotals();
@@ -632,12 +1752,15 @@
       if (itemsEl) itemsEl.innerHTML = '';
       if (summaryEl) summaryEl.hidden = true;
       if (clearBtn) clearBtn.hidden = true;
+      if (shareActions) shareActions.hidden = true;
       if (badgeEl) badgeEl.textContent = '0';
+      renderPriceChanges();
       return;
     }
 
     if (emptyEl) emptyEl.hidden = true;
     if (clearBtn) clearBtn.hidden = false;
+    if (shareActions) shareActions.hidden = false;
     if (badgeEl) badgeEl.textContent = totals.itemCount;
 
     if (itemsEl) {
@@ -652,9 +1775,20 @@
               <span class="trade-in-cart__item-condition">${item.condition}</span>
               <span>${escapeHtml(item.set)}</span>
             </div>
+            <div class="trade-in-cart__item-photos">
+              ${PHOTO_SIDES.map(side => {
+                const upload = photoUploads.get(`${getLineId(item)}:${side}`);
+                return `<div class="trade-in-photo${upload ? ` trade-in-photo--${upload.status}` : ''}" data-photo-slot="${getLineId(item)}:${side}">${getPhotoSlotHtml(item, side)}</div>`;
+              }).join('')}
+            </div>
           </div>
           <div class="trade-in-cart__item-controls">
-            <span class="trade-in-cart__item-price">${formatPrice(item.pricePerItem * item.quantity)}</span>
+            ${typeof item.pendingPrice === 'number' ? `
+              <span class="trade-in-cart__item-price trade-in-cart__item-price--changed trade-in-cart__item-price--${item.pendingPrice > item.pricePerItem ? 'up' : 'down'}">
+                <s>${formatPrice(item.pricePerItem * item.quantity)}</s>
+                ${formatPrice(item.pendingPrice * item.quantity)}
+              </span>
+            ` : `<span class="trade-in-cart__item-price">${formatPrice(item.pricePerItem * item.quantity)}</span>`}
             <div class="trade-in-cart__item-actions">
               <button type="button" class="trade-in-cart__qty-btn" data-qty-change="${i}" data-delta="-1">−</button>
               <span class="trade-in-cart__qty">${item.quantity}</span>
@@ -668,6 +1802,8 @@
       `).join('');
     }
 
+    renderPriceChanges();
+
     if (summaryEl) {
       summaryEl.hidden = false;
       const itemCountEl = summaryEl.querySelector('[data-item-count]');
@@ -677,6 +1813,93 @@
     }
   }
 
+  function renderPayoutOptions() {
+    const container = document.querySelector('[data-payout-options]');
+    if (!container) return;
+
+    const methods = getPayoutMethods();
+    const selected = getPayoutMethod();
+    state.payoutType = selected.code;
+
+    container.innerHTML = methods.map(method => {
+      const bonus = getPayoutBonus(method);
+      return `
+        <label class="trade-in-payout-option${method.recommended ? ' trade-in-payout-option--recommended' : ''}">
+          <input type="radio" name="payoutType" value="${escapeHtml(method.code)}"${method.code === selected.code ? ' checked' : ''}>
+          <span class="trade-in-payout-option__radio"></span>
+          <span class="trade-in-payout-option__content">
+            <span class="trade-in-payout-option__header">
+              <span class="trade-in-payout-option__name">${escapeHtml(method.name)}</span>
+              ${method.badge ? `<span class="trade-in-payout-option__badge">${escapeHtml(method.badge)}</span>` : ''}
+            </span>
+            ${method.description ? `<span class="trade-in-payout-option__desc">${escapeHtml(method.description)}</span>` : ''}
+            ${bonus > 0 ? `<span class="trade-in-payout-option__bonus">${formatBonusLabel(bonus)} bonus</span>` : ''}
+            <span class="trade-in-payout-option__total" data-payout-total="${escapeHtml(method.code)}"></span>
+          </span>
+        </label>
+      `;
+    }).join('');
+
+    renderPayoutFields();
+    updatePayoutTotals();
+  }
+
+  /**
+   * Render the selected method's fields, keeping anything already typed
+   */
+  function renderPayoutFields() {
+    const container = document.querySelector('[data-payout-fields]');
+    if (!container) return;
+
+    const method = getPayoutMethod();
+    container.hidden = method.fields.length === 0;
+    if (container.hidden) {
+      container.innerHTML = '';
+      return;
+    }
+
+    container.innerHTML = `
+      <h4 class="trade-in-payout-fields__title">${escapeHtml(method.name)} Details</h4>
+      <p class="trade-in-payout-fields__subtitle">Where we should send your payout</p>
+      <div class="trade-in-form__fields">
+        ${method.fields.map(field => {
+          const id = `payout-${field.name}`;
+          const value = state.payoutDetails[field.name] || '';
+          return `
+            <div class="trade-in-form__field${field.full ? ' trade-in-form__field--full' : ''}">
+              <label for="${id}" class="trade-in-form__label">
+                ${escapeHtml(field.label)}${field.required ? ' <span class="required">*</span>' : ''}
+              </label>
+              <input
+                type="${field.type || 'text'}"
+                id="${id}"
+                name="${escapeHtml(field.name)}"
+                class="trade-in-form__input"
+                value="${escapeHtml(value)}"
+                ${field.placeholder ? `placeholder="${escapeHtml(field.placeholder)}"` : ''}
+                ${field.maxlength ? `maxlength="${field.maxlength}"` : ''}
+                ${field.inputmode ? `inputmode="${field.inputmode}"` : ''}
+                ${field.required ? 'required' : ''}
+                autocomplete="off"
+                data-payout-field
+              >
+              ${field.hint ? `<span class="trade-in-form__hint">${escapeHtml(field.hint)}</span>` : ''}
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  function updatePayoutTotals() {
+    const { subtotal } = getCartTotals();
+
+    getPayoutMethods().forEach(method => {
+      const totalEl = document.querySelector(`[data-payout-total="${method.code}"]`);
+      if (totalEl) totalEl.textContent = formatPrice(getPayoutTotal(method, subtotal));
+    });
+  }
+
   function updateFormSections() {
     const customerSection = document.querySelector('[data-customer-section]');
     const payoutSection = document.querySelector('[data-payout-section]');
@@ -691,11 +1914,7 @@
     // Update payout totals
     if (hasItems) {
       const totals = getCartTotals();
-      const storeCreditEl = document.querySelector('[data-store-credit-total]');
-      const bankEl = document.querySelector('[data-bank-total]');
-
-      if (storeCreditEl) storeCreditEl.textContent = formatPrice(totals.storeCreditTotal);
-      if (bankEl) bankEl.textContent = formatPrice(totals.bankTotal);
+      updatePayoutTotals();
 
       // Check minimum
       const minimumNotice = document.querySelector('[data-minimum-notice]');
@@ -706,7 +1925,7 @@
         minimumNotice.hidden = meetsMinimum;
         if (!meetsMinimum) {
           const remaining = CONFIG.minimumValue - totals.subtotal;
-          minimumNotice.textContent = `Add ${formatPrice(remaining)} more to meet the £5 minimum`;
+          minimumNotice.textContent = `Add ${formatPrice(remaining)} more to meet the ${formatPrice(CONFIG.minimumValue)} minimum`;
         }
       }
 
@@ -724,12 +1943,38 @@
     steps.forEach((step, i) => {
       step.classList.remove('trade-in-progress__step--active', 'trade-in-progress__step--complete');
 
-      if (i === 0) {
-        step.classList.add(hasItems ? 'trade-in-progress__step--complete' : 'trade-in-progress__step--active');
-      } else if (i === 1 && hasItems) {
-        step.classList.add('trade-in-progress__step--active');
-      }
-    });
+      if (i === 0) {
+        step.classList.add(hasItems ? 'trade-in-progress__step--complete' : 'trade-in-progress__step--active');
+      } else if (i === 1 && hasItems) {
+        step.classList.add('trade-in-progress__step--active');
+      }
+    });
+  }
+
+  function renderPendingSync() {
+    const banner = document.querySelector('[data-pending-sync]');
+    if (!banner) return;
+
+    const count = state.pendingSubmissions.length;
+    banner.hidden = count === 0;
+    if (count === 0) return;
+
+    const messageEl = banner.querySelector('[data-pending-sync-message]');
+    const retryBtn = banner.querySelector('[data-pending-sync-retry]');
+    const label = count === 1 ? '1 trade-in is' : `${count} trade-ins are`;
+
+    let message;
+    if (state.queueFlushing) {
+      message = `Submitting ${count === 1 ? 'your saved trade-in' : `${count} saved trade-ins`}...`;
+    } else if (navigator.onLine === false) {
+      message = `${label} saved on this device and will be submitted automatically when you're back online.`;
+    } else {
+      message = `${label} waiting to be submitted. We'll keep retrying automatically.`;
+    }
+
+    if (messageEl) messageEl.textContent = message;
+    if (retryBtn) retryBtn.disabled = state.queueFlushing || navigator.onLine === false;
+    banner.classList.toggle('trade-in-pending-sync--syncing', state.queueFlushing);
   }
 
   // ============================================================================
@@ -755,7 +2000,7 @@
 
     // Render conditions with pre-calculated prices from API
     if (conditionsEl) {
-      conditionsEl.innerHTML = CONFIG.conditions.map((cond, i) => {
+      conditionsEl.innerHTML = getConditions(card.game).map((cond, i) => {
         // Use pre-calculated price from API, fallback to calculation
         const price = card.prices && typeof card.prices[cond.code] === 'number'
           ? card.prices[cond.code]
@@ -795,7 +2040,7 @@
     if (!selectedBtn || !priceEl) return;
 
     const conditionCode = selectedBtn.dataset.condition;
-    const condition = CONFIG.conditions.find(c => c.code === conditionCode);
+    const condition = getConditions(state.selectedCard.game).find(c => c.code === conditionCode);
     const quantity = parseInt(qtyInput?.value || 1, 10);
 
     // Use pre-calculated price from API, fallback to calculation
@@ -807,13 +2052,388 @@
     priceEl.textContent = formatPrice(price * quantity);
   }
 
+  // ============================================================================
+  // Bulk Import (deck lists / CSV)
+  // ============================================================================
+
+  const IMPORT_CONCURRENCY = 4;
+  const IMPORT_MAX_QUANTITY = 99;
+  const IMPORT_CARD_NUMBER_PATTERN = /\b([A-Z]{1,4}\d{0,3}-\d{2,4}[A-Z]?)\b/i;
+  const IMPORT_CSV_HEADERS = {
+    quantity: ['quantity', 'qty', 'count', 'amount'],
+    name: ['name', 'card', 'card name', 'cardname'],
+    number: ['number', 'card number', 'cardnumber', 'code', 'id', 'set code'],
+    condition: ['condition', 'cond', 'grade']
+  };
+
+  function clampImportQuantity(value) {
+    const quantity = parseInt(value, 10);
+    if (!quantity || quantity < 1) return 1;
+    return Math.min(IMPORT_MAX_QUANTITY, quantity);
+  }
+
+  function findConditionCode(token) {
+    if (!token) return null;
+    const code = token.trim().toUpperCase();
+    return getConditions().some(c => c.code === code) ? code : null;
+  }
+
+  /**
+   * Parse one deck-list line, e.g. "4x OP01-001 Roronoa Zoro NM" or "Nami x2 LP"
+   * @returns {{ quantity, number, name, condition } | null}
+   */
+  function parseDeckListLine(line) {
+    let text = line.trim();
+    if (!text || text.startsWith('#') || text.startsWith('//')) return null;
+
+    let condition = null;
+    const tokens = text.split(/\s+/);
+    const lastToken = tokens[tokens.length - 1].replace(/[()[\]]/g, '');
+    if (tokens.length > 1 && findConditionCode(lastToken)) {
+      condition = findConditionCode(lastToken);
+      tokens.pop();
+      text = tokens.join(' ');
+    }
+
+    let quantity = 1;
+    const leadingQty = text.match(/^(\d+)\s*x?\s+/i);
+    const trailingQty = text.match(/\s+(?:x\s*(\d+)|(\d+)\s*x)$/i);
+    if (leadingQty) {
+      quantity = leadingQty[1];
+      text = text.slice(leadingQty[0].length);
+    } else if (trailingQty) {
+      quantity = trailingQty[1] || trailingQty[2];
+      text = text.slice(0, trailingQty.index);
+    }
+
+    let number = '';
+    const numberMatch = text.match(IMPORT_CARD_NUMBER_PATTERN);
+    if (numberMatch) {
+      number = numberMatch[1].toUpperCase();
+      text = text.replace(numberMatch[0], ' ');
+    }
+
+    const name = text.replace(/[\s,;|-]+/g, ' ').trim();
+    if (!name && !number) return null;
+
+    return { quantity: clampImportQuantity(quantity), number, name, condition };
+  }
+
+  function splitCsvRow(row) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < row.length; i++) {
+      const char = row[i];
+      if (quoted) {
+        if (char === '"' && row[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',' || char === ';' || char === '\t') {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  }
+
+  /**
+   * Parse CSV text. With a recognised header row, columns are mapped by name;
+   * otherwise each row is treated as a deck-list line.
+   */
+  function parseImportCsv(text) {
+    const rows = text.split(/\r?\n/).filter(row => row.trim());
+    if (rows.length === 0) return [];
+
+    const header = splitCsvRow(rows[0]).map(cell => cell.toLowerCase());
+    const columns = {};
+    Object.keys(IMPORT_CSV_HEADERS).forEach(field => {
+      const index = header.findIndex(cell => IMPORT_CSV_HEADERS[field].includes(cell));
+      if (index >= 0) columns[field] = index;
+    });
+
+    if (columns.name === undefined && columns.number === undefined) {
+      return rows
+        .map(row => ({ line: row, parsed: parseDeckListLine(splitCsvRow(row).join(' ')) }))
+        .filter(entry => entry.parsed);
+    }
+
+    return rows.slice(1).map(row => {
+      const cells = splitCsvRow(row);
+      const cell = field => (columns[field] !== undefined ? cells[columns[field]] || '' : '');
+      const name = cell('name');
+      const number = cell('number').toUpperCase();
+      if (!name && !number) return null;
+
+      return {
+        line: row,
+        parsed: {
+          quantity: clampImportQuantity(cell('quantity') || 1),
+          number,
+          name,
+          condition: findConditionCode(cell('condition'))
+        }
+      };
+    }).filter(Boolean);
+  }
+
+  function parseImportText(text) {
+    return text.split(/\r?\n/)
+      .map(line => ({ line: line.trim(), parsed: parseDeckListLine(line) }))
+      .filter(entry => entry.parsed);
+  }
+
+  function normalizeCardNumber(value) {
+    return (value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  /**
+   * Resolve a parsed line against the search API
+   * Card numbers are matched exactly; names narrow the candidates further.
+   */
+  async function resolveImportRow(row) {
+    const { number, name } = row.parsed;
+    const query = number || name;
+
+    try {
+      const url = `${CONFIG.apiBase}/cards/search?q=${encodeURIComponent(query)}&limit=10`;
+      const data = await fetchWithCache(url);
+      const results = (data.cards || data.results || []).map(card => normalizeCardData(card, 'search'));
+
+      let candidates = results;
+      if (number) {
+        const target = normalizeCardNumber(number);
+        candidates = candidates.filter(card =>
+          normalizeCardNumber(card.fullCardNumber).endsWith(target) ||
+          normalizeCardNumber(card.cardId).includes(target)
+        );
+      }
+      if (name && candidates.length > 1) {
+        const lowerName = name.toLowerCase();
+        const byName = candidates.filter(card => (card.name || '').toLowerCase().includes(lowerName));
+        if (byName.length > 0) candidates = byName;
+      }
+      // Nothing matched exactly - offer the raw results for manual review
+      const exact = candidates.length > 0;
+      if (!exact) candidates = results.slice(0, 5);
+
+      row.candidates = candidates;
+      if (candidates.length === 0) {
+        row.status = 'unmatched';
+      } else if (exact && candidates.length === 1) {
+        row.status = 'matched';
+        row.selectedIndex = 0;
+      } else {
+        row.status = 'ambiguous';
+        row.selectedIndex = -1;
+      }
+    } catch (err) {
+      console.error('Failed to resolve import line:', row.line, err);
+      row.status = 'unmatched';
+      row.candidates = [];
+    }
+  }
+
+  async function resolveImportRows(rows, onProgress) {
+    await forEachWithConcurrency(rows, IMPORT_CONCURRENCY, async (row) => {
+      await resolveImportRow(row);
+      onProgress();
+    });
+  }
+
+  function getResolvedImportRows() {
+    return state.importRows.filter(row => row.selectedIndex >= 0 && row.candidates[row.selectedIndex]);
+  }
+
+  function renderImportResults(panel) {
+    const resultsEl = panel.querySelector('[data-import-results]');
+    const summaryEl = panel.querySelector('[data-import-summary]');
+    const addBtn = panel.querySelector('[data-import-add]');
+    if (!resultsEl) return;
+
+    const rows = state.importRows;
+    resultsEl.hidden = rows.length === 0;
+
+    resultsEl.innerHTML = rows.map((row, i) => {
+      let match;
+      if (row.status === 'pending') {
+        match = '<span class="trade-in-import__pending"><div class="trade-in-spinner trade-in-spinner--small"></div> Searching...</span>';
+      } else if (row.status === 'unmatched') {
+        match = '<span class="trade-in-import__unmatched">No matching card found</span>';
+      } else if (row.status === 'matched') {
+        const card = row.candidates[0];
+        match = `
+          <span class="trade-in-import__card-name">${escapeHtml(card.name)}</span>
+          <span class="trade-in-import__card-set">${escapeHtml(card.fullCardNumber || card.setCode)} ${card.variantType ? `(${escapeHtml(card.variantType)})` : ''}</span>
+        `;
+      } else {
+        match = `
+          <select class="trade-in-import__select" data-import-candidate="${i}" aria-label="Choose matching card">
+            <option value="-1">Choose a card (${row.candidates.length} matches)</option>
+            ${row.candidates.map((card, c) => `
+              <option value="${c}"${c === row.selectedIndex ? ' selected' : ''}>
+                ${escapeHtml(card.name)} - ${escapeHtml(card.fullCardNumber || card.setCode)}${card.variantType ? ` (${escapeHtml(card.variantType)})` : ''}
+              </option>
+            `).join('')}
+          </select>
+        `;
+      }
+
+      return `
+        <div class="trade-in-import__row trade-in-import__row--${row.status}">
+          <span class="trade-in-import__qty">${row.quantity}×</span>
+          <div class="trade-in-import__match">
+            ${match}
+            <span class="trade-in-import__line">${escapeHtml(row.line)}</span>
+          </div>
+          <select class="trade-in-import__condition" data-import-condition="${i}" aria-label="Condition">
+            ${getConditions().map(cond => `<option value="${cond.code}"${cond.code === row.condition ? ' selected' : ''}>${cond.code}</option>`).join('')}
+          </select>
+          <button type="button" class="trade-in-import__remove" data-import-remove="${i}" title="Remove line">
+            <svg viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clip-rule="evenodd"/></svg>
+          </button>
+        </div>
+      `;
+    }).join('');
+
+    const counts = { matched: 0, ambiguous: 0, unmatched: 0, pending: 0 };
+    rows.forEach(row => counts[row.status]++);
+    const resolved = getResolvedImportRows();
+    const cardCount = resolved.reduce((sum, row) => sum + row.quantity, 0);
+
+    if (summaryEl) {
+      summaryEl.hidden = rows.length === 0;
+      summaryEl.textContent = counts.pending > 0
+        ? `Matching ${rows.length - counts.pending} of ${rows.length} lines...`
+        : `${counts.matched} matched · ${counts.ambiguous} need review · ${counts.unmatched} not found`;
+    }
+
+    if (addBtn) {
+      addBtn.hidden = rows.length === 0;
+      addBtn.disabled = resolved.length === 0 || counts.pending > 0;
+      addBtn.textContent = `Add ${cardCount} card${cardCount === 1 ? '' : 's'} to trade-in`;
+    }
+  }
+
+  async function runImport(panel, entries) {
+    const defaultCondition = panel.querySelector('[data-import-default-condition]')?.value || getConditions()[0].code;
+
+    state.importRows = entries.map(({ line, parsed }) => ({
+      line,
+      parsed,
+      quantity: parsed.quantity,
+      condition: parsed.condition || defaultCondition,
+      status: 'pending',
+      candidates: [],
+      selectedIndex: -1
+    }));
+
+    if (state.importRows.length === 0) {
+      showToast('No card lines found to import');
+      renderImportResults(panel);
+      return;
+    }
+
+    renderImportResults(panel);
+    await resolveImportRows(state.importRows, debounce(() => renderImportResults(panel), 100));
+    renderImportResults(panel);
+  }
+
+  function setupImportPanel(form) {
+    const panel = form.querySelector('[data-import-panel]');
+    if (!panel) return;
+
+    const textInput = panel.querySelector('[data-import-text]');
+    const fileInput = panel.querySelector('[data-import-file]');
+    const resultsEl = panel.querySelector('[data-import-results]');
+
+    panel.addEventListener('click', async (e) => {
+      if (e.target.closest('[data-import-parse]') && textInput) {
+        await runImport(panel, parseImportText(textInput.value));
+      } else if (e.target.closest('[data-import-remove]')) {
+        const index = parseInt(e.target.closest('[data-import-remove]').dataset.importRemove, 10);
+        state.importRows.splice(index, 1);
+        renderImportResults(panel);
+      } else if (e.target.closest('[data-import-add]')) {
+        const resolved = getResolvedImportRows();
+        if (resolved.length === 0) return;
+
+        const cardCount = resolved.reduce((sum, row) => sum + row.quantity, 0);
+        addManyToCart(resolved.map(row => ({
+          card: row.candidates[row.selectedIndex],
+          condition: row.condition,
+          quantity: row.quantity
+        })));
+
+        // Keep lines that still need attention so they can be fixed and added
+        state.importRows = state.importRows.filter(row => !resolved.includes(row));
+        renderImportResults(panel);
+        if (state.importRows.length === 0 && textInput) textInput.value = '';
+        showToast(`Added ${cardCount} card${cardCount === 1 ? '' : 's'} to trade-in`, 'success');
+      }
+    });
+
+    if (resultsEl) {
+      resultsEl.addEventListener('change', (e) => {
+        const candidateSelect = e.target.closest('[data-import-candidate]');
+        const conditionSelect = e.target.closest('[data-import-condition]');
+
+        if (candidateSelect) {
+          const row = state.importRows[parseInt(candidateSelect.dataset.importCandidate, 10)];
+          if (row) row.selectedIndex = parseInt(candidateSelect.value, 10);
+          renderImportResults(panel);
+        } else if (conditionSelect) {
+          const row = state.importRows[parseInt(conditionSelect.dataset.importCondition, 10)];
+          if (row) row.condition = conditionSelect.value;
+        }
+      });
+    }
+
+    if (fileInput) {
+      fileInput.addEventListener('change', async () => {
+        const file = fileInput.files && fileInput.files[0];
+        if (!file) return;
+
+        try {
+          const text = await file.text();
+          if (/\.json$/i.test(file.name)) {
+            // A JSON export restores the full list directly
+            if (loadCart(JSON.parse(text))) {
+              renderCart();
+              updateFormSections();
+              showToast(`Loaded trade-in list (${state.cart.length} items)`, 'success');
+            }
+            return;
+          }
+          const entries = /\.csv$/i.test(file.name) ? parseImportCsv(text) : parseImportText(text);
+          await runImport(panel, entries);
+        } catch (err) {
+          console.error('Failed to read import file:', err);
+          showToast('Could not read that file');
+        } finally {
+          fileInput.value = '';
+        }
+      });
+    }
+  }
+
   // ============================================================================
   // Form Submission
   // ============================================================================
 
   async function handleSubmit(form) {
     const loadingEl = document.querySelector('[data-loading-state]');
-    const successEl = document.querySelector('[data-success-state]');
     const errorBanner = document.querySelector('[data-error-banner]');
     const formContent = form.querySelector('.trade-in-form__content');
 
@@ -824,18 +2444,37 @@
     const email = form.querySelector('[name="email"]')?.value;
     const firstName = form.querySelector('[name="firstName"]')?.value || '';
     const lastName = form.querySelector('[name="lastName"]')?.value || '';
-    const payoutType = form.querySelector('[name="payoutType"]:checked')?.value || 'STORE_CREDIT';
+    const payoutMethod = getPayoutMethod(form.querySelector('[name="payoutType"]:checked')?.value);
     const shopifyCustomerId = form.querySelector('[name="shopifyCustomerId"]')?.value;
 
-    // Bank details
-    const bankAccountName = form.querySelector('[name="bankAccountName"]')?.value?.trim() || '';
-    const bankSortCode = form.querySelector('[name="bankSortCode"]')?.value?.replace(/[-\s]/g, '') || '';
-    const bankAccountNumber = form.querySelector('[name="bankAccountNumber"]')?.value?.replace(/\s/g, '') || '';
-
     // Contact preferences
     const phone = form.querySelector('[name="phone"]')?.value?.trim() || '';
     const contactChannel = form.querySelector('[name="contactChannel"]')?.value || '';
 
+    // Saved quotes are still being checked - they may be about to change
+    if (state.repricing) {
+      showError('We\'re still checking your saved prices. Please try again in a moment.');
+      return;
+    }
+
+    // Quotes that changed since the list was saved must be accepted first
+    if (getPriceChanges().length > 0) {
+      showError('Some prices have changed since you saved your list. Please review and accept the new prices.');
+      document.querySelector('[data-price-changes]')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      return;
+    }
+
+    // Photos must finish uploading so graders receive the references
+    const photoStatus = getPhotoUploadStatus();
+    if (photoStatus.uploading > 0) {
+      showError('Please wait for your photos to finish uploading');
+      return;
+    }
+    if (photoStatus.failed > 0) {
+      showError('Some photos failed to upload. Retry or remove them before submitting.');
+      return;
+    }
+
     // Validate email
     if (!email) {
       showError('Please enter your email address');
@@ -866,23 +2505,12 @@
       if (channelError) channelError.hidden = true;
     }
 
-    // Validate bank details if bank transfer selected
-    if (payoutType === 'BANK') {
-      if (!bankAccountName) {
-        showError('Please enter the account holder name for bank transfer');
-        form.querySelector('[name="bankAccountName"]')?.focus();
-        return;
-      }
-      if (!bankSortCode || !/^\d{6}$/.test(bankSortCode)) {
-        showError('Please enter a valid 6-digit sort code (e.g. 12-34-56)');
-        form.querySelector('[name="bankSortCode"]')?.focus();
-        return;
-      }
-      if (!bankAccountNumber || !/^\d{8}$/.test(bankAccountNumber)) {
-        showError('Please enter a valid 8-digit account number');
-        form.querySelector('[name="bankAccountNumber"]')?.focus();
-        return;
-      }
+    // Validate the selected payout method's details
+    const payout = validatePayoutDetails(payoutMethod);
+    if (payout.error) {
+      showError(payout.error);
+      form.querySelector(`[name="${payout.field.name}"]`)?.focus();
+      return;
     }
 
     // Show loading
@@ -892,126 +2520,76 @@
     });
     if (loadingEl) loadingEl.hidden = false;
 
-    try {
-      const submissionData = {
-        email,
-        firstName,
-        lastName,
-        payoutType,
-        shopifyCustomerId,
-        // Contact preferences (required)
-        phone,
-        contactChannel,
-        items: state.cart.map(item => ({
-          cardPriceId: item.cardId,
-          cardName: item.name,
-          setName: item.set || 'Unknown',
-          setCode: item.setCode || null,
-          variant: item.variantType || null,
-          conditionClaimed: item.condition,
-          quantity: item.quantity
-        }))
-      };
+    const submissionData = {
+      idempotencyKey: createIdempotencyKey(),
+      email,
+      firstName,
+      lastName,
+      payoutType: payoutMethod.code,
+      // Method-specific details, e.g. bankSortCode, iban, paypalEmail - nested so a
+      // field name from /settings can't overwrite the keys above or below
+      payoutDetails: payout.values,
+      ...getLegacyPayoutFields(payoutMethod.code, payout.values),
+      shopifyCustomerId,
+      // Contact preferences (required)
+      phone,
+      contactChannel,
+      items: state.cart.map(item => ({
+        cardPriceId: item.cardId,
+        cardName: item.name,
+        setName: item.set || 'Unknown',
+        setCode: item.setCode || null,
+        variant: item.variantType || null,
+        game: item.game || null,
+        conditionClaimed: item.condition,
+        quantity: item.quantity,
+        photos: PHOTO_SIDES
+          .filter(side => item.photos && item.photos[side])
+          .map(side => ({ side, id: item.photos[side].id, url: item.photos[side].url }))
+      }))
+    };
 
-      // Include bank details if bank transfer selected
-      if (payoutType === 'BANK') {
-        submissionData.bankAccountName = bankAccountName;
-        submissionData.bankSortCode = bankSortCode;
-        submissionData.bankAccountNumber = bankAccountNumber;
-      }
+    // Captured now - the cart is cleared before a queued submission syncs
+    const totals = getCartTotals();
+    const summary = {
+      email,
+      itemCount: totals.itemCount,
+      total: getPayoutTotal(payoutMethod, totals.subtotal),
+      payoutLabel: getPayoutLabel(payoutMethod)
+    };
 
+    try {
       const result = await submitTradeIn(submissionData);
-      const totals = getCartTotals();
 
-      // Success
       if (loadingEl) loadingEl.hidden = true;
-      if (successEl) {
-        successEl.hidden = false;
-
-        // Submission number
-        const numberEl = successEl.querySelector('[data-submission-number]');
-        if (numberEl) numberEl.textContent = result.submissionNumber;
-
-        // Email display
-        const emailEl = successEl.querySelector('[data-success-email]');
-        if (emailEl) emailEl.textContent = email;
-
-        // Quick summary
-        const itemsEl = successEl.querySelector('[data-success-items]');
-        const totalEl = successEl.querySelector('[data-success-total]');
-        const payoutEl = successEl.querySelector('[data-success-payout]');
-
-        if (itemsEl) itemsEl.textContent = totals.itemCount;
-        if (totalEl) totalEl.textContent = formatPrice(payoutType === 'STORE_CREDIT' ? totals.storeCreditTotal : totals.subtotal);
-        if (payoutEl) payoutEl.textContent = payoutType === 'STORE_CREDIT' ? 'Store Credit (+10%)' : 'Bank Transfer';
-
-        // Update links
-        const packingLink = successEl.querySelector('[data-packing-slip-link]');
-        const shippingLink = successEl.querySelector('[data-shipping-link]');
-        const trackingLink = successEl.querySelector('[data-tracking-link]');
-
-        if (packingLink) packingLink.href = `${CONFIG.apiBase}/packing-slip/${result.submissionNumber}`;
-        if (shippingLink) shippingLink.href = `${CONFIG.apiBase}/shipping-instructions/${result.submissionNumber}`;
-        if (trackingLink) trackingLink.href = `/pages/trade-in-track?number=${result.submissionNumber}`;
-
-        // Fetch and display ship-to address
-        const addressEl = successEl.querySelector('[data-ship-to-address]');
-        if (addressEl) {
-          try {
-            const settingsResponse = await fetch(`${CONFIG.apiBase}/settings`);
-            if (settingsResponse.ok) {
-              const settings = await settingsResponse.json();
-              if (settings.returnAddress) {
-                const addr = settings.returnAddress;
-                addressEl.innerHTML = [
-                  addr.companyName,
-                  addr.addressLine1,
-                  addr.addressLine2,
-                  addr.city,
-                  addr.postalCode
-                ].filter(Boolean).join('<br>');
-              } else {
-                addressEl.textContent = 'See confirmation email for shipping address';
-              }
-            } else {
-              addressEl.textContent = 'See confirmation email for shipping address';
-            }
-          } catch (err) {
-            console.error('Failed to fetch return address:', err);
-            addressEl.textContent = 'See confirmation email for shipping address';
-          }
-        }
-
-        // Setup copy button
-        const copyBtn = successEl.querySelector('[data-copy-number]');
-        if (copyBtn) {
-          copyBtn.addEventListener('click', async () => {
-            try {
-              await navigator.clipboard.writeText(result.submissionNumber);
-              copyBtn.classList.add('copied');
-              setTimeout(() => copyBtn.classList.remove('copied'), 2000);
-            } catch (err) {
-              // Fallback for older browsers
-              const textArea = document.createElement('textarea');
-              textArea.value = result.submissionNumber;
-              textArea.style.position = 'fixed';
-              textArea.style.left = '-9999px';
-              document.body.appendChild(textArea);
-              textArea.select();
-              document.execCommand('copy');
-              document.body.removeChild(textArea);
-              copyBtn.classList.add('copied');
-              setTimeout(() => copyBtn.classList.remove('copied'), 2000);
-            }
-          });
-        }
-      }
+      renderSuccess(result, summary);
 
       // Clear cart
       clearCart();
       localStorage.removeItem('tradeInCart');
 
     } catch (err) {
+      // Bank, IBAN and PayPal details aren't written to the device - only store credit
+      // submissions are queued, the rest are kept in the form to resubmit
+      const hasPayoutDetails = Object.keys(submissionData.payoutDetails).length > 0;
+      if (err.retryable && hasPayoutDetails) {
+        err.message = 'No connection - please check your connection and submit again';
+      } else if (err.retryable) {
+        try {
+          await enqueueSubmission(submissionData, summary);
+
+          // The list is safe in the queue - free up the form for the next one
+          clearCart();
+          if (loadingEl) loadingEl.hidden = true;
+          if (formContent) formContent.style.display = '';
+          showToast('No connection - your trade-in will be submitted automatically');
+          document.querySelector('[data-pending-sync]')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+          return;
+        } catch (queueErr) {
+          console.error('Failed to queue submission:', queueErr);
+        }
+      }
+
       console.error('Submission error:', err);
       if (loadingEl) loadingEl.hidden = true;
       if (formContent) formContent.style.display = '';
@@ -1020,6 +2598,103 @@
     }
   }
 
+  /**
+   * Show the success state for a completed submission
+   * @param {Object} result - Submission API response
+   * @param {Object} summary - { email, itemCount, total, payoutLabel } captured at submit time
+   */
+  async function renderSuccess(result, summary) {
+    const successEl = document.querySelector('[data-success-state]');
+    if (!successEl) return;
+
+    const form = document.querySelector('[data-trade-in-form]');
+    const formContent = form?.querySelector('.trade-in-form__content');
+    if (formContent) formContent.style.display = 'none';
+    document.querySelectorAll('[data-customer-section], [data-payout-section], [data-submit-section]').forEach(el => {
+      el.hidden = true;
+    });
+
+    successEl.hidden = false;
+
+    // Submission number
+    const numberEl = successEl.querySelector('[data-submission-number]');
+    if (numberEl) numberEl.textContent = result.submissionNumber;
+
+    // Email display
+    const emailEl = successEl.querySelector('[data-success-email]');
+    if (emailEl) emailEl.textContent = summary.email;
+
+    // Quick summary
+    const itemsEl = successEl.querySelector('[data-success-items]');
+    const totalEl = successEl.querySelector('[data-success-total]');
+    const payoutEl = successEl.querySelector('[data-success-payout]');
+
+    if (itemsEl) itemsEl.textContent = summary.itemCount;
+    if (totalEl) totalEl.textContent = formatPrice(summary.total);
+    if (payoutEl) payoutEl.textContent = summary.payoutLabel;
+
+    // Update links
+    const packingLink = successEl.querySelector('[data-packing-slip-link]');
+    const shippingLink = successEl.querySelector('[data-shipping-link]');
+    const trackingLink = successEl.querySelector('[data-tracking-link]');
+
+    if (packingLink) packingLink.href = `${CONFIG.apiBase}/packing-slip/${result.submissionNumber}`;
+    if (shippingLink) shippingLink.href = `${CONFIG.apiBase}/shipping-instructions/${result.submissionNumber}`;
+    if (trackingLink) trackingLink.href = `/pages/trade-in-track?number=${result.submissionNumber}`;
+
+    // Fetch and display ship-to address
+    const addressEl = successEl.querySelector('[data-ship-to-address]');
+    if (addressEl) {
+      try {
+        const settingsResponse = await fetch(`${CONFIG.apiBase}/settings`);
+        if (settingsResponse.ok) {
+          const settings = await settingsResponse.json();
+          if (settings.returnAddress) {
+            const addr = settings.returnAddress;
+            addressEl.innerHTML = [
+              addr.companyName,
+              addr.addressLine1,
+              addr.addressLine2,
+              addr.city,
+              addr.postalCode
+            ].filter(Boolean).join('<br>');
+          } else {
+            addressEl.textContent = 'See confirmation email for shipping address';
+          }
+        } else {
+          addressEl.textContent = 'See confirmation email for shipping address';
+        }
+      } catch (err) {
+        console.error('Failed to fetch return address:', err);
+        addressEl.textContent = 'See confirmation email for shipping address';
+      }
+    }
+
+    // Setup copy button
+    const copyBtn = successEl.querySelector('[data-copy-number]');
+    if (copyBtn) {
+      copyBtn.onclick = async () => {
+        try {
+          await navigator.clipboard.writeText(result.submissionNumber);
+          copyBtn.classList.add('copied');
+          setTimeout(() => copyBtn.classList.remove('copied'), 2000);
+        } catch (err) {
+          // Fallback for older browsers
+          const textArea = document.createElement('textarea');
+          textArea.value = result.submissionNumber;
+          textArea.style.position = 'fixed';
+          textArea.style.left = '-9999px';
+          document.body.appendChild(textArea);
+          textArea.select();
+          document.execCommand('copy');
+          document.body.removeChild(textArea);
+          copyBtn.classList.add('copied');
+          setTimeout(() => copyBtn.classList.remove('copied'), 2000);
+        }
+      };
+    }
+  }
+
   function showError(message) {
     const banner = document.querySelector('[data-error-banner]');
     const msgEl = banner?.querySelector('[data-error-message]');
@@ -1080,6 +2755,7 @@
             // Hide dropdown and perform full search
             searchResults.hidden = true;
             fullSearch(query);
+            updateBrowseUrl();
             searchInput.blur();
           }
         }
@@ -1116,6 +2792,9 @@
       });
     }
 
+    // Bulk import
+    setupImportPanel(form);
+
     // Browse Grid
     const browseGrid = form.querySelector('[data-browse-grid]');
     if (browseGrid) {
@@ -1128,7 +2807,7 @@
           const index = parseInt(quickAddBtn.dataset.quickAdd, 10);
           const card = browseGrid._cards[index];
           if (card) {
-            addToCart(card, 'NM', 1);
+            addToCart(card, getConditions(card.game)[0].code, 1);
             quickAddBtn.classList.add('trade-in-card__quick-add--success');
             setTimeout(() => quickAddBtn.classList.remove('trade-in-card__quick-add--success'), 500);
           }
@@ -1167,33 +2846,7 @@
         const game = tab.dataset.game;
         if (game === state.currentGame) return;
 
-        // Update active tab
-        gameTabs.querySelectorAll('.trade-in-nav__tab').forEach(t => {
-          t.classList.remove('trade-in-nav__tab--active');
-        });
-        tab.classList.add('trade-in-nav__tab--active');
-
-        // Update state and reset filters
-        state.currentGame = game;
-        state.currentLanguage = '';
-        state.currentSet = '';
-        state.currentPage = 1;
-
-        // Reset filter dropdowns
-        const langFilter = form.querySelector('[data-language-filter]');
-        const setFilter = form.querySelector('[data-set-filter]');
-        if (langFilter) langFilter.value = '';
-        if (setFilter) setFilter.value = '';
-
-        // Clear cache to get fresh data for new game
-        clearCache();
-
-        // Reload languages, sets, and cards for new game
-        await Promise.all([
-          loadLanguages(game),
-          loadSets(game),
-          loadBrowseCards()
-        ]);
+        await selectGame(game);
       });
     }
 
@@ -1203,6 +2856,8 @@
       languageFilter.addEventListener('change', async (e) => {
         state.currentLanguage = e.target.value;
         state.currentPage = 1;
+        exitSearchView();
+        updateBrowseUrl();
         await loadBrowseCards();
       });
     }
@@ -1213,6 +2868,8 @@
       setFilter.addEventListener('change', async (e) => {
         state.currentSet = e.target.value;
         state.currentPage = 1;
+        exitSearchView();
+        updateBrowseUrl();
         await loadBrowseCards();
       });
     }
@@ -1226,12 +2883,26 @@
           const page = parseInt(btn.dataset.page, 10);
           if (page >= 1 && page <= state.totalPages) {
             state.currentPage = page;
+            updateBrowseUrl();
             await loadBrowseCards();
           }
         }
       });
     }
 
+    // Back from full search results to browsing
+    const searchExit = form.querySelector('[data-search-exit]');
+    if (searchExit) {
+      searchExit.addEventListener('click', async () => {
+        exitSearchView();
+        updateBrowseUrl();
+        await loadBrowseCards();
+      });
+    }
+
+    // Back/forward restores the browse or search view from the URL
+    window.addEventListener('popstate', restoreBrowseState);
+
     // Cart events
     const cartEl = form.querySelector('[data-cart]');
     if (cartEl) {
@@ -1239,8 +2910,29 @@
         const removeBtn = e.target.closest('[data-remove]');
         const qtyBtn = e.target.closest('[data-qty-change]');
         const clearBtn = e.target.closest('[data-cart-clear]');
-
-        if (removeBtn) {
+        const photoRemoveBtn = e.target.closest('[data-photo-remove]');
+        const photoRetryBtn = e.target.closest('[data-photo-retry]');
+        const acceptPricesBtn = e.target.closest('[data-accept-prices]');
+        const exportBtn = e.target.closest('[data-cart-export]');
+        const shareBtn = e.target.closest('[data-cart-share]');
+
+        if (photoRemoveBtn) {
+          const item = findItemByLineId(photoRemoveBtn.dataset.photoRemove);
+          if (item) removeItemPhoto(item, photoRemoveBtn.dataset.side);
+        } else if (photoRetryBtn) {
+          const item = findItemByLineId(photoRetryBtn.dataset.photoRetry);
+          if (item) retryItemPhoto(item, photoRetryBtn.dataset.side);
+        } else if (acceptPricesBtn) {
+          acceptPriceChanges();
+        } else if (exportBtn) {
+          if (exportBtn.dataset.cartExport === 'json') {
+            exportCartJson();
+          } else {
+            exportCartCsv();
+          }
+        } else if (shareBtn) {
+          shareCart();
+        } else if (removeBtn) {
           const index = parseInt(removeBtn.dataset.remove, 10);
           removeFromCart(index);
         } else if (qtyBtn) {
@@ -1255,6 +2947,18 @@
       });
     }
 
+    // Photo evidence file inputs
+    if (cartEl) {
+      cartEl.addEventListener('change', (e) => {
+        const input = e.target.closest('[data-photo-input]');
+        if (!input) return;
+
+        const item = findItemByLineId(input.dataset.photoInput);
+        const file = input.files && input.files[0];
+        if (item && file) addItemPhoto(item, input.dataset.side, file);
+      });
+    }
+
     // Modal events
     const modal = document.querySelector('[data-condition-modal]');
     if (modal) {
@@ -1344,29 +3048,36 @@
       });
     }
 
-    // Sort code auto-formatting (XX-XX-XX)
-    const sortCodeInput = form.querySelector('[name="bankSortCode"]');
-    if (sortCodeInput) {
-      sortCodeInput.addEventListener('input', (e) => {
-        let value = e.target.value.replace(/[^0-9]/g, ''); // Remove non-digits
-        value = value.slice(0, 6); // Limit to 6 digits
+    // Pending sync (offline submission queue)
+    const pendingRetryBtn = document.querySelector('[data-pending-sync-retry]');
+    if (pendingRetryBtn) {
+      pendingRetryBtn.addEventListener('click', () => flushSubmissionQueue(true));
+    }
 
-        // Format as XX-XX-XX
-        if (value.length > 4) {
-          value = value.slice(0, 2) + '-' + value.slice(2, 4) + '-' + value.slice(4);
-        } else if (value.length > 2) {
-          value = value.slice(0, 2) + '-' + value.slice(2);
-        }
+    window.addEventListener('online', () => flushSubmissionQueue(true));
+    window.addEventListener('offline', renderPendingSync);
 
-        e.target.value = value;
+    // Payout method selection
+    const payoutOptions = form.querySelector('[data-payout-options]');
+    if (payoutOptions) {
+      payoutOptions.addEventListener('change', (e) => {
+        if (e.target.name !== 'payoutType') return;
+        state.payoutType = e.target.value;
+        renderPayoutFields();
       });
     }
 
-    // Account number - digits only
-    const accountNumberInput = form.querySelector('[name="bankAccountNumber"]');
-    if (accountNumberInput) {
-      accountNumberInput.addEventListener('input', (e) => {
-        e.target.value = e.target.value.replace(/[^0-9]/g, '').slice(0, 8);
+    // Payout details - format as typed (e.g. sort code XX-XX-XX, IBAN in groups of 4)
+    const payoutFields = form.querySelector('[data-payout-fields]');
+    if (payoutFields) {
+      payoutFields.addEventListener('input', (e) => {
+        const input = e.target.closest('[data-payout-field]');
+        if (!input) return;
+
+        const field = getPayoutMethod().fields.find(f => f.name === input.name);
+        const format = field && PAYOUT_FORMATTERS[field.format];
+        if (format) input.value = format(input.value, field);
+        state.payoutDetails[input.name] = input.value;
       });
     }
   }
@@ -1387,7 +3098,8 @@
 
     try {
       const data = await browseCards(state.currentPage, state.currentGame, state.currentLanguage, state.currentSet);
-      if (data) {
+      // Ignore a browse page that finished after the customer switched to search results
+      if (data && !state.searchQuery) {
         state.totalPages = data.totalPages || 1;
         renderBrowseGrid(grid, data.cards || []);
         if (pagination) renderPagination(pagination, state.currentPage, state.totalPages);
@@ -1401,6 +3113,179 @@
     }
   }
 
+  /**
+   * Switch the browse grid to another game, resetting its filters
+   */
+  async function selectGame(game) {
+    state.currentGame = game;
+    state.currentLanguage = '';
+    state.currentSet = '';
+    state.currentPage = 1;
+    exitSearchView();
+
+    // Reset filter dropdowns
+    const langFilter = document.querySelector('[data-language-filter]');
+    const setFilter = document.querySelector('[data-set-filter]');
+    if (langFilter) langFilter.innerHTML = '<option value="">All Languages</option>';
+    if (setFilter) setFilter.innerHTML = '<option value="">All Sets</option>';
+
+    renderGameTabs();
+    applyGameSettings();
+    updateBrowseUrl();
+
+    // Clear cache to get fresh data for new game
+    clearCache();
+
+    // Reload languages, sets, and cards for new game
+    await Promise.all([
+      loadLanguages(game),
+      loadSets(game),
+      loadBrowseCards()
+    ]);
+  }
+
+  function renderGameTabs() {
+    const gameTabs = document.querySelector('[data-game-tabs]');
+    if (!gameTabs) return;
+
+    gameTabs.innerHTML = CONFIG.games.map(game => {
+      const classes = ['trade-in-nav__tab'];
+      if (game.id === state.currentGame) classes.push('trade-in-nav__tab--active');
+      if (!game.enabled) classes.push('trade-in-nav__tab--disabled');
+
+      return `
+        <button type="button" class="${classes.join(' ')}" data-game="${escapeHtml(game.id)}"${game.enabled ? '' : ' disabled'}>
+          <span class="trade-in-nav__tab-name">${escapeHtml(game.name)}</span>
+          ${game.badge ? `<span class="trade-in-nav__tab-badge">${escapeHtml(game.badge)}</span>` : ''}
+        </button>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Show the current game's filters and condition scale
+   */
+  function applyGameSettings() {
+    const game = getGame(state.currentGame);
+    const filters = game ? game.filters : { sets: true, languages: true };
+
+    const langGroup = document.querySelector('[data-language-filter]')?.closest('.trade-in-filters__group');
+    const setGroup = document.querySelector('[data-set-filter]')?.closest('.trade-in-filters__group');
+    if (langGroup) langGroup.hidden = !filters.languages;
+    if (setGroup) setGroup.hidden = !filters.sets;
+
+    const guide = document.querySelector('[data-condition-guide]');
+    if (guide) {
+      guide.innerHTML = getConditions().map(cond => `
+        <div class="trade-in-condition-guide__item">
+          <strong>${escapeHtml(cond.code)}</strong> - ${escapeHtml(cond.name)}${cond.description ? ` - ${escapeHtml(cond.description)}` : ''}
+        </div>
+      `).join('');
+    }
+
+    const importCondition = document.querySelector('[data-import-default-condition]');
+    if (importCondition) {
+      importCondition.innerHTML = getConditions()
+        .map(cond => `<option value="${escapeHtml(cond.code)}">${escapeHtml(cond.code)} - ${escapeHtml(cond.name)}</option>`)
+        .join('');
+    }
+  }
+
+  /**
+   * Push the browse/search state (?game=&set=&language=&page=&q=) onto the history
+   * so back/forward, refresh and shared links return to the same view
+   * @param {boolean} replace - Update the current entry instead of adding one
+   */
+  function updateBrowseUrl(replace = false) {
+    const url = new URL(window.location.href);
+    const params = {
+      game: state.currentGame !== getInitialGame() ? state.currentGame : '',
+      set: state.currentSet,
+      language: state.currentLanguage,
+      page: !state.searchQuery && state.currentPage > 1 ? String(state.currentPage) : '',
+      q: state.searchQuery
+    };
+
+    Object.keys(params).forEach(key => {
+      if (params[key]) {
+        url.searchParams.set(key, params[key]);
+      } else {
+        url.searchParams.delete(key);
+      }
+    });
+
+    if (url.href === window.location.href) return;
+
+    const historyState = { ...window.history.state, tradeInBrowse: params };
+    if (replace) {
+      window.history.replaceState(historyState, '', url);
+    } else {
+      window.history.pushState(historyState, '', url);
+    }
+  }
+
+  function readBrowseUrl() {
+    const params = new URLSearchParams(window.location.search);
+    state.currentGame = getInitialGame(params.get('game'));
+
+    const game = getGame(state.currentGame);
+    state.currentSet = game && !game.filters.sets ? '' : params.get('set') || '';
+    state.currentLanguage = game && !game.filters.languages ? '' : params.get('language') || '';
+    state.currentPage = Math.max(1, parseInt(params.get('page'), 10) || 1);
+
+    const query = (params.get('q') || '').trim();
+    state.searchQuery = query.length >= CONFIG.minSearchLength ? query : '';
+  }
+
+  function exitSearchView() {
+    state.searchQuery = '';
+
+    const searchHeader = document.querySelector('[data-search-header]');
+    if (searchHeader) searchHeader.hidden = true;
+  }
+
+  /**
+   * Show the grid for the current state - full search results or a browse page
+   */
+  async function showBrowseView() {
+    const searchInput = document.querySelector('[data-search-input]');
+    const searchClear = document.querySelector('[data-search-clear]');
+
+    if (searchInput) searchInput.value = state.searchQuery;
+    if (searchClear) searchClear.hidden = !state.searchQuery;
+
+    if (state.searchQuery) {
+      await fullSearch(state.searchQuery);
+    } else {
+      exitSearchView();
+      await loadBrowseCards();
+    }
+  }
+
+  async function restoreBrowseState() {
+    const previousGame = state.currentGame;
+    readBrowseUrl();
+
+    const langFilter = document.querySelector('[data-language-filter]');
+    const setFilter = document.querySelector('[data-set-filter]');
+
+    if (state.currentGame !== previousGame) {
+      renderGameTabs();
+      applyGameSettings();
+      clearCache();
+      await Promise.all([
+        loadLanguages(state.currentGame),
+        loadSets(state.currentGame),
+        showBrowseView()
+      ]);
+      return;
+    }
+
+    if (langFilter) langFilter.value = state.currentLanguage;
+    if (setFilter) setFilter.value = state.currentSet;
+    await showBrowseView();
+  }
+
   async function refreshCards() {
     // Clear the cache to force fresh data
     clearCache();
@@ -1418,31 +3303,46 @@
     showToast('Cards refreshed', 'success');
   }
 
-  async function loadSets(game = 'onepiece') {
+  async function loadSets(game = state.currentGame) {
     const select = document.querySelector('[data-set-filter]');
     if (!select) return;
 
+    const gameConfig = getGame(game);
+    if (gameConfig && !gameConfig.filters.sets) {
+      state.sets = [];
+      return;
+    }
+
     try {
       const sets = await fetchSets(game);
       state.sets = sets;
 
       select.innerHTML = '<option value="">All Sets</option>' +
         sets.map(set => `<option value="${escapeHtml(set.code)}">${escapeHtml(set.name)}</option>`).join('');
+      // Keep a set restored from the URL selected once its option exists
+      select.value = state.currentSet;
     } catch (err) {
       console.error('Failed to load sets:', err);
     }
   }
 
-  async function loadLanguages(game = 'onepiece') {
+  async function loadLanguages(game = state.currentGame) {
     const select = document.querySelector('[data-language-filter]');
     if (!select) return;
 
+    const gameConfig = getGame(game);
+    if (gameConfig && !gameConfig.filters.languages) {
+      state.languages = [];
+      return;
+    }
+
     try {
       const languages = await fetchLanguages(game);
       state.languages = languages;
 
       select.innerHTML = '<option value="">All Languages</option>' +
         languages.map(lang => `<option value="${escapeHtml(lang.code)}">${escapeHtml(lang.name)} (${lang.cardCount})</option>`).join('');
+      select.value = state.currentLanguage;
     } catch (err) {
       console.error('Failed to load languages:', err);
     }
@@ -1452,23 +3352,46 @@
     const form = document.querySelector('[data-trade-in-form]');
     if (!form) return;
 
-    // Load configuration from server first (non-blocking for UI)
+    // Currency context rendered by Liquid; /settings may override the quote currency
+    if (form.dataset.shopCurrency) {
+      CONFIG.shopCurrency = form.dataset.shopCurrency;
+      CONFIG.currency = form.dataset.shopCurrency;
+    }
+    CONFIG.showConvertedPrices = form.dataset.showConvertedPrices === 'true';
+
+    loadPageCatalogue(form);
+    // Cards added before /settings resolves still need a game
+    state.currentGame = getInitialGame(new URLSearchParams(window.location.search).get('game'));
+
+    // Load configuration from server first (non-blocking for the cart)
     // This updates CONFIG with values from the merchant's settings
-    loadConfig().catch(() => {
+    const configLoaded = loadConfig().catch(() => {
       console.warn('Config loading failed, continuing with defaults');
     });
 
-    // Load saved cart
+    // Load saved cart, then any list opened from a share link
     loadCart();
+    await restoreSharedCart();
     renderCart();
+    renderPayoutOptions();
     updateFormSections();
 
     // Setup event listeners
     setupEventListeners();
 
-    // Load browse cards, sets, and languages
+    // Resume any submissions queued while offline
+    refreshPendingSync().then(() => flushSubmissionQueue());
+
+    // The game catalogue may come from /settings, so browse waits for it
+    await configLoaded;
+    renderPayoutOptions();
+    readBrowseUrl();
+    renderGameTabs();
+    applyGameSettings();
+
+    // Load browse cards (or restored search results), sets, and languages
     await Promise.all([
-      loadBrowseCards(),
+      showBrowseView(),
       loadSets(state.currentGame),
       loadLanguages(state.currentGame)
     ]);
@@ -0,0 +1,77 @@
+/**
+ * Trade-In Currency
+ * Formats quotes from the cardforum API for trade-in-app.js and trade-in-track.js.
+ * API amounts are in the currency's own minor units (pence, cents, or whole yen).
+ */
+
+(function() {
+  'use strict';
+
+  const formatters = new Map();
+
+  function getFormatter(currency) {
+    if (!formatters.has(currency)) {
+      formatters.set(currency, new Intl.NumberFormat(document.documentElement.lang || undefined, { style: 'currency', currency }));
+    }
+    return formatters.get(currency);
+  }
+
+  function getFractionDigits(currency) {
+    try {
+      return getFormatter(currency).resolvedOptions().maximumFractionDigits;
+    } catch (err) {
+      return 2;
+    }
+  }
+
+  function toMajorUnits(minorUnits, currency) {
+    return minorUnits / Math.pow(10, getFractionDigits(currency));
+  }
+
+  function formatCurrency(minorUnits, currency) {
+    try {
+      return getFormatter(currency).format(toMajorUnits(minorUnits, currency));
+    } catch (err) {
+      // Unknown currency code or locale
+      return `${currency} ${toMajorUnits(minorUnits, currency).toFixed(getFractionDigits(currency))}`;
+    }
+  }
+
+  function getActiveCurrency(shopCurrency) {
+    const shopifyCurrency = window.Shopify && window.Shopify.currency;
+    return {
+      code: (shopifyCurrency && shopifyCurrency.active) || shopCurrency,
+      rate: parseFloat(shopifyCurrency && shopifyCurrency.rate) || 1
+    };
+  }
+
+  /**
+   * Format a quote given in minor units of `options.currency`
+   * Uses the theme money format when the customer is browsing in the quote currency,
+   * otherwise the locale's format for the quote currency. Payouts are settled in the
+   * quote currency, so a conversion is only ever shown as an approximation.
+   * @param {number} minorUnits
+   * @param {{currency: string, shopCurrency: string, showConvertedPrices: boolean}} options
+   */
+  function formatPrice(minorUnits, { currency, shopCurrency, showConvertedPrices }) {
+    const active = getActiveCurrency(shopCurrency);
+
+    if (active.code === currency) {
+      if (window.FoxTheme && FoxTheme.Currency && FoxTheme.settings && FoxTheme.settings.moneyFormat) {
+        // Shopify money formats always take hundredths
+        const cents = Math.round(toMajorUnits(minorUnits, currency) * 100);
+        return FoxTheme.Currency.formatMoney(cents, FoxTheme.settings.moneyFormat).replace(/<[^>]*>/g, '');
+      }
+      return formatCurrency(minorUnits, currency);
+    }
+
+    const quote = formatCurrency(minorUnits, currency);
+    // Shopify's rate converts from the shop currency, so it only applies to quotes in that currency
+    if (!showConvertedPrices || currency !== shopCurrency) return quote;
+
+    const converted = toMajorUnits(minorUnits, currency) * active.rate * Math.pow(10, getFractionDigits(active.code));
+    return `${quote} (≈ ${formatCurrency(Math.round(converted), active.code)})`;
+  }
+
+  window.TradeInCurrency = { formatCurrency, formatPrice, toMajorUnits };
+})();
@@ -1,6 +1,7 @@
 /**
  * Trade-In Tracking Page
- * Fetches and displays submission status from the cardforum API
+ * Fetches and displays submission status from the cardforum API,
+ * remembers recently tracked submissions and polls them for status changes
  */
 
 (function() {
@@ -15,7 +16,19 @@
     endpoints: {
       track: '/track',
       packingSlip: '/packing-slip'
-    }
+    },
+    // Currency the submission was quoted in - overridden per submission
+    currency: 'GBP',
+    shopCurrency: 'GBP',
+    showConvertedPrices: false,
+    // Recently tracked submissions (localStorage)
+    historyKey: 'tradeInTrackHistory',
+    historyLimit: 10,
+    notifyKey: 'tradeInTrackNotify',
+    // Status polling while the page is visible
+    pollIntervalMs: 60 * 1000,
+    // No further updates expected once a submission reaches these
+    finalStatuses: ['COMPLETED', 'CANCELLED', 'RETURNED']
   };
 
   // ============================================================================
@@ -50,7 +63,11 @@
     gradingFinal: document.getElementById('gradingFinal'),
     itemsCount: document.getElementById('itemsCount'),
     itemsList: document.getElementById('itemsList'),
-    printPackingSlip: document.getElementById('printPackingSlip')
+    printPackingSlip: document.getElementById('printPackingSlip'),
+    // Lookup history
+    history: document.getElementById('trackingHistory'),
+    historyList: document.getElementById('trackingHistoryList'),
+    notifyToggle: document.getElementById('trackingNotify')
   };
 
   // ============================================================================
@@ -58,24 +75,39 @@
   // ============================================================================
 
   let currentSubmissionNumber = null;
+  let pollTimer = null;
+  let lastPollAt = 0;
 
   // ============================================================================
   // Utilities
   // ============================================================================
 
-  function formatPrice(pence) {
-    return '£' + (pence / 100).toFixed(2);
+  /**
+   * Format an amount in minor units of the submission's currency - see trade-in-currency.js
+   */
+  function formatPrice(minorUnits) {
+    return TradeInCurrency.formatPrice(minorUnits, CONFIG);
   }
 
   function formatPayoutType(type) {
     const types = {
       'STORE_CREDIT': 'Store Credit',
       'BANK': 'Bank Transfer',
+      'IBAN': 'SEPA Bank Transfer',
       'PAYPAL': 'PayPal'
     };
     return types[type] || type;
   }
 
+  function formatRelativeTime(timestamp) {
+    const minutes = Math.round((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    return new Date(timestamp).toLocaleDateString(document.documentElement.lang || undefined);
+  }
+
   function escapeHtml(text) {
     if (!text) return '';
     const div = document.createElement('div');
@@ -101,6 +133,183 @@
     return data;
   }
 
+  // ============================================================================
+  // Lookup History
+  // ============================================================================
+
+  /**
+   * Recently tracked submissions, newest first
+   * [{ number, status, statusLabel, checkedAt, changedAt, unseen }]
+   */
+  function loadHistory() {
+    try {
+      const history = JSON.parse(localStorage.getItem(CONFIG.historyKey) || '[]');
+      return Array.isArray(history) ? history.filter(entry => entry && entry.number) : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  function saveHistory(history) {
+    try {
+      localStorage.setItem(CONFIG.historyKey, JSON.stringify(history.slice(0, CONFIG.historyLimit)));
+    } catch (err) {
+      console.error('Error saving tracking history:', err);
+    }
+  }
+
+  /**
+   * Record the latest status for a submission
+   * @param {boolean} moveToTop - Looked up by the customer, rather than a background poll
+   * @returns {Object|null} The previous entry, if any
+   */
+  function recordStatus(submission, moveToTop) {
+    const history = loadHistory();
+    const index = history.findIndex(entry => entry.number === submission.submissionNumber);
+    const previous = index >= 0 ? history[index] : null;
+    const changed = previous && previous.status !== submission.status;
+
+    const entry = {
+      number: submission.submissionNumber,
+      status: submission.status,
+      statusLabel: submission.statusLabel,
+      checkedAt: Date.now(),
+      changedAt: changed ? Date.now() : (previous && previous.changedAt) || null,
+      // Highlighted in the list until the customer opens it
+      unseen: moveToTop ? false : Boolean(changed || (previous && previous.unseen))
+    };
+
+    if (index >= 0) history.splice(index, 1);
+    if (moveToTop || index < 0) {
+      history.unshift(entry);
+    } else {
+      history.splice(index, 0, entry);
+    }
+
+    saveHistory(history);
+    renderHistory();
+    return previous;
+  }
+
+  function removeFromHistory(number) {
+    saveHistory(loadHistory().filter(entry => entry.number !== number));
+    renderHistory();
+  }
+
+  function renderHistory() {
+    if (!elements.history) return;
+
+    const history = loadHistory();
+    elements.history.hidden = history.length === 0;
+
+    elements.historyList.innerHTML = history.map(entry => `
+      <li class="trade-in-track__history-item${entry.unseen ? ' trade-in-track__history-item--updated' : ''}${entry.number === currentSubmissionNumber ? ' trade-in-track__history-item--active' : ''}">
+        <button type="button" class="trade-in-track__history-link" data-history-number="${escapeHtml(entry.number)}">
+          <span class="trade-in-track__history-number">${escapeHtml(entry.number)}</span>
+          <span class="trade-in-track__status-badge" data-status="${escapeHtml(entry.status)}">${escapeHtml(entry.statusLabel || entry.status)}</span>
+          <span class="trade-in-track__history-checked">
+            ${entry.unseen ? 'Updated' : 'Checked'} ${formatRelativeTime(entry.unseen && entry.changedAt ? entry.changedAt : entry.checkedAt)}
+          </span>
+        </button>
+        <button type="button" class="trade-in-track__history-remove" data-history-remove="${escapeHtml(entry.number)}" aria-label="Forget ${escapeHtml(entry.number)}">×</button>
+      </li>
+    `).join('');
+  }
+
+  // ============================================================================
+  // Status Polling & Notifications
+  // ============================================================================
+
+  function canNotify() {
+    return 'Notification' in window;
+  }
+
+  function isNotifyEnabled() {
+    return canNotify() && Notification.permission === 'granted' && localStorage.getItem(CONFIG.notifyKey) === 'true';
+  }
+
+  async function handleNotifyToggle(e) {
+    if (!e.target.checked) {
+      localStorage.setItem(CONFIG.notifyKey, 'false');
+      return;
+    }
+
+    const permission = Notification.permission === 'default'
+      ? await Notification.requestPermission()
+      : Notification.permission;
+
+    e.target.checked = permission === 'granted';
+    localStorage.setItem(CONFIG.notifyKey, String(e.target.checked));
+
+    if (permission === 'denied') {
+      showError('Notifications are blocked for this site. Allow them in your browser settings to get status updates.');
+    }
+  }
+
+  function notifyStatusChange(submission) {
+    if (!isNotifyEnabled()) return;
+
+    try {
+      const notification = new Notification(`Trade-in ${submission.submissionNumber}: ${submission.statusLabel}`, {
+        body: submission.statusDescription || '',
+        tag: `trade-in-${submission.submissionNumber}`
+      });
+      notification.onclick = () => {
+        window.focus();
+        trackSubmission(submission.submissionNumber);
+        notification.close();
+      };
+    } catch (err) {
+      // Some mobile browsers only allow notifications from a service worker
+      console.warn('Could not show notification:', err);
+    }
+  }
+
+  /**
+   * Check every remembered submission that can still change
+   */
+  async function pollStatuses() {
+    lastPollAt = Date.now();
+    const pending = loadHistory().filter(entry => !CONFIG.finalStatuses.includes(entry.status));
+
+    // One at a time - the proxy is rate limited and this runs in the background
+    for (const entry of pending) {
+      try {
+        const data = await fetchTrackingInfo(entry.number);
+        if (!data.found) continue;
+
+        // The open submission is being looked at, so its change is already seen
+        const isOpen = entry.number === currentSubmissionNumber;
+        const previous = recordStatus(data.submission, isOpen);
+
+        if (previous && previous.status !== data.submission.status) {
+          notifyStatusChange(data.submission);
+
+          // Keep the open submission up to date without jumping the page
+          if (isOpen) renderResults(data, false);
+        }
+      } catch (err) {
+        console.warn(`Status check failed for ${entry.number}:`, err);
+      }
+    }
+  }
+
+  function startPolling() {
+    stopPolling();
+    if (document.hidden) return;
+
+    const due = Math.max(0, CONFIG.pollIntervalMs - (Date.now() - lastPollAt));
+    pollTimer = setTimeout(async () => {
+      await pollStatuses();
+      startPolling();
+    }, due);
+  }
+
+  function stopPolling() {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+
   // ============================================================================
   // UI Updates
   // ============================================================================
@@ -196,10 +405,14 @@
     elements.gradingResults.hidden = false;
   }
 
-  function renderResults(data) {
+  /**
+   * @param {boolean} [scroll=true] - Scroll to the results (not for background refreshes)
+   */
+  function renderResults(data, scroll = true) {
     const { submission, timeline, items, gradingResults } = data;
 
     currentSubmissionNumber = submission.submissionNumber;
+    CONFIG.currency = submission.currency || CONFIG.shopCurrency;
 
     // Header
     elements.resultNumber.textContent = submission.submissionNumber;
@@ -234,7 +447,7 @@
     elements.results.hidden = false;
 
     // Scroll to results
-    elements.results.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    if (scroll) elements.results.scrollIntoView({ behavior: 'smooth', block: 'start' });
   }
 
   // ============================================================================
@@ -250,6 +463,11 @@
       return;
     }
 
+    await trackSubmission(number);
+  }
+
+  async function trackSubmission(number) {
+    elements.input.value = number;
     setLoading(true);
     hideError();
     elements.results.hidden = true;
@@ -263,6 +481,7 @@
       }
 
       renderResults(data);
+      recordStatus(data.submission, true);
 
       // Update URL without reload
       const url = new URL(window.location);
@@ -277,6 +496,26 @@
     }
   }
 
+  function handleHistoryClick(e) {
+    const removeBtn = e.target.closest('[data-history-remove]');
+    const link = e.target.closest('[data-history-number]');
+
+    if (removeBtn) {
+      removeFromHistory(removeBtn.dataset.historyRemove);
+    } else if (link) {
+      trackSubmission(link.dataset.historyNumber);
+    }
+  }
+
+  function handleVisibilityChange() {
+    // Pause polling in background tabs; catch up as soon as the page is visible again
+    if (document.hidden) {
+      stopPolling();
+    } else {
+      startPolling();
+    }
+  }
+
   function handlePrintPackingSlip() {
     if (!currentSubmissionNumber) return;
 
@@ -289,16 +528,41 @@
   // ============================================================================
 
   function init() {
+    // Currency context rendered by Liquid
+    const container = document.querySelector('[data-trade-in-track]');
+    if (container && container.dataset.shopCurrency) {
+      CONFIG.shopCurrency = container.dataset.shopCurrency;
+      CONFIG.currency = container.dataset.shopCurrency;
+    }
+    CONFIG.showConvertedPrices = container ? container.dataset.showConvertedPrices === 'true' : false;
+
     // Event listeners
     elements.form.addEventListener('submit', handleSubmit);
     elements.printPackingSlip.addEventListener('click', handlePrintPackingSlip);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    if (elements.historyList) {
+      elements.historyList.addEventListener('click', handleHistoryClick);
+    }
+
+    if (elements.notifyToggle) {
+      if (canNotify()) {
+        elements.notifyToggle.checked = isNotifyEnabled();
+        elements.notifyToggle.addEventListener('change', handleNotifyToggle);
+      } else {
+        elements.notifyToggle.closest('label').hidden = true;
+      }
+    }
+
+    // Recently tracked submissions - the first poll refreshes their statuses
+    renderHistory();
+    startPolling();
 
     // Check for number in URL
     const urlParams = new URLSearchParams(window.location.search);
     const number = urlParams.get('number');
     if (number) {
-      elements.input.value = number;
-      elements.form.dispatchEvent(new Event('submit'));
+      trackSubmission(number.trim().toUpperCase());
     }
   }
 
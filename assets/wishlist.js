@@ -0,0 +1,400 @@
+/**
+ * Customer wishlist. Items are kept in localStorage as { productId, variantId, addedAt } and,
+ * for logged-in customers, mirrored to the custom.wishlist metafield through the app proxy.
+ * The metafield is the source of truth; a guest's list is merged into it on their first login.
+ */
+if (!FoxTheme.wishlist) {
+  FoxTheme.wishlist = {
+    storageKey: 'sleektheme:wishlist',
+    // Customer the local list belongs to, empty for a guest
+    ownerKey: 'sleektheme:wishlist-owner',
+    maxItems: 50,
+    state: [],
+    subscribers: [],
+    settings: FoxTheme.wishlistSettings || {},
+
+    init: () => {
+      const wishlist = FoxTheme.wishlist;
+      const { customerId, customerItems, proxyUrl } = wishlist.settings;
+      const ownerId = customerId ? String(customerId) : '';
+      const storedOwnerId = wishlist.readOwner();
+
+      // Don't show one customer's list to another, or to a guest after they log out.
+      wishlist.state = storedOwnerId && storedOwnerId !== ownerId ? [] : wishlist.readStorage();
+
+      if (ownerId && proxyUrl) {
+        const accountItems = wishlist.normalize(customerItems);
+
+        wishlist.state = storedOwnerId === ownerId ? accountItems : wishlist.merge(wishlist.state, accountItems);
+        if (!wishlist.isSame(wishlist.state, accountItems)) wishlist.sync();
+      }
+
+      wishlist.writeStorage(wishlist.state);
+      wishlist.writeOwner(ownerId);
+
+      // Keep other tabs in step.
+      window.addEventListener('storage', (event) => {
+        if (event.key !== wishlist.storageKey) return;
+
+        wishlist.state = wishlist.readStorage();
+        wishlist.notify();
+      });
+    },
+
+    /**
+     * @param {Function} callback - Called with the items after every change
+     * @returns {Function} unsubscribe
+     */
+    subscribe: (callback) => {
+      FoxTheme.wishlist.subscribers = [...FoxTheme.wishlist.subscribers, callback];
+
+      return function unsubscribe() {
+        FoxTheme.wishlist.subscribers = FoxTheme.wishlist.subscribers.filter((cb) => cb !== callback);
+      };
+    },
+
+    notify: () => {
+      const items = FoxTheme.wishlist.getItems();
+      FoxTheme.wishlist.subscribers.forEach((callback) => callback(items));
+    },
+
+    getItems: () => [...FoxTheme.wishlist.state],
+
+    getItem: (productId) => FoxTheme.wishlist.state.find((item) => item.productId === Number(productId)),
+
+    has: (productId) => Boolean(FoxTheme.wishlist.getItem(productId)),
+
+    add: (productId, variantId) => {
+      FoxTheme.wishlist.addAll([{ productId, variantId, addedAt: Date.now() }]);
+    },
+
+    /**
+     * Add several items at once, e.g. from a shared link. Items already saved keep their variant.
+     */
+    addAll: (items) => {
+      FoxTheme.wishlist.setItems(FoxTheme.wishlist.merge(FoxTheme.wishlist.state, FoxTheme.wishlist.normalize(items)));
+    },
+
+    remove: (productId) => {
+      FoxTheme.wishlist.setItems(FoxTheme.wishlist.state.filter((item) => item.productId !== Number(productId)));
+    },
+
+    /**
+     * @returns {boolean} Whether the product is saved afterwards
+     */
+    toggle: (productId, variantId) => {
+      if (FoxTheme.wishlist.has(productId)) {
+        FoxTheme.wishlist.remove(productId);
+        return false;
+      }
+
+      FoxTheme.wishlist.add(productId, variantId);
+      return true;
+    },
+
+    setItems: (items) => {
+      const wishlist = FoxTheme.wishlist;
+      wishlist.state = items.slice(0, wishlist.maxItems);
+      wishlist.writeStorage(wishlist.state);
+      wishlist.notify();
+      wishlist.scheduleSync();
+    },
+
+    /**
+     * Union of two lists, one entry per product, newest first.
+     */
+    merge: (items, otherItems) => {
+      const byProduct = new Map();
+      [...items, ...otherItems].forEach((item) => {
+        if (!byProduct.has(item.productId)) byProduct.set(item.productId, item);
+      });
+
+      return [...byProduct.values()].sort((a, b) => b.addedAt - a.addedAt).slice(0, FoxTheme.wishlist.maxItems);
+    },
+
+    /**
+     * Whether both lists hold the same products and variants, in any order.
+     */
+    isSame: (items, otherItems) => {
+      const toKey = (item) => `${item.productId}:${item.variantId}`;
+      const keys = new Set(items.map(toKey));
+
+      return items.length === otherItems.length && otherItems.every((item) => keys.has(toKey(item)));
+    },
+
+    normalize: (items) => {
+      if (!Array.isArray(items)) return [];
+
+      return items
+        .map((item) => ({
+          productId: Number(item.productId),
+          variantId: Number(item.variantId) || null,
+          addedAt: Number(item.addedAt) || Date.now(),
+        }))
+        .filter((item) => item.productId > 0);
+    },
+
+    readStorage: () => {
+      if (!FoxTheme.config.hasLocalStorage) return FoxTheme.wishlist.state;
+
+      try {
+        return FoxTheme.wishlist.normalize(JSON.parse(window.localStorage.getItem(FoxTheme.wishlist.storageKey)));
+      } catch (e) {
+        return [];
+      }
+    },
+
+    writeStorage: (items) => {
+      if (!FoxTheme.config.hasLocalStorage) return;
+
+      window.localStorage.setItem(FoxTheme.wishlist.storageKey, JSON.stringify(items));
+    },
+
+    readOwner: () => {
+      if (!FoxTheme.config.hasLocalStorage) return '';
+
+      return window.localStorage.getItem(FoxTheme.wishlist.ownerKey) || '';
+    },
+
+    writeOwner: (ownerId) => {
+      if (!FoxTheme.config.hasLocalStorage) return;
+
+      window.localStorage.setItem(FoxTheme.wishlist.ownerKey, ownerId);
+    },
+
+    scheduleSync: FoxTheme.utils.debounce(() => FoxTheme.wishlist.sync(), 1000),
+
+    /**
+     * Save the list to the customer metafield. The app proxy identifies the customer from
+     * its signed logged_in_customer_id parameter, so only the items are sent.
+     */
+    sync: () => {
+      const { customerId, proxyUrl } = FoxTheme.wishlist.settings;
+      if (!customerId || !proxyUrl) return Promise.resolve();
+
+      return fetch(proxyUrl, {
+        ...FoxTheme.utils.fetchConfig(),
+        body: JSON.stringify({ items: FoxTheme.wishlist.state }),
+      })
+        .then((response) => {
+          if (!response.ok) throw new Error(`Wishlist sync failed with status ${response.status}`);
+        })
+        .catch((e) => {
+          console.error(e);
+        });
+    },
+  };
+
+  FoxTheme.wishlist.init();
+}
+
+if (!customElements.get('wishlist-button')) {
+  customElements.define(
+    'wishlist-button',
+    class WishlistButton extends HTMLElement {
+      constructor() {
+        super();
+
+        this.button = this.querySelector('button');
+        this.label = this.querySelector('.wishlist-button__label');
+        this.button.addEventListener('click', this.onClick.bind(this));
+      }
+
+      connectedCallback() {
+        this.render();
+        this.wishlistUnsubscriber = FoxTheme.wishlist.subscribe(this.render.bind(this));
+
+        if (this.dataset.sectionId) {
+          this.variantChangeUnsubscriber = FoxTheme.pubsub.subscribe(
+            FoxTheme.pubsub.PUB_SUB_EVENTS.variantChange,
+            this.onVariantChange.bind(this)
+          );
+        }
+      }
+
+      disconnectedCallback() {
+        if (this.wishlistUnsubscriber) this.wishlistUnsubscriber();
+        if (this.variantChangeUnsubscriber) this.variantChangeUnsubscriber();
+      }
+
+      onClick(event) {
+        event.preventDefault();
+        FoxTheme.wishlist.toggle(this.dataset.productId, this.dataset.variantId);
+      }
+
+      onVariantChange({ data }) {
+        if (data.sectionId !== this.dataset.sectionId || !data.variant) return;
+
+        this.dataset.variantId = data.variant.id;
+      }
+
+      render() {
+        const saved = FoxTheme.wishlist.has(this.dataset.productId);
+        const text = saved ? FoxTheme.wishlistStrings.remove : FoxTheme.wishlistStrings.add;
+
+        this.button.setAttribute('aria-pressed', saved);
+        this.button.setAttribute('aria-label', text);
+        if (this.label) this.label.textContent = text;
+      }
+    }
+  );
+}
+
+if (!customElements.get('wishlist-page')) {
+  customElements.define(
+    'wishlist-page',
+    class WishlistPage extends HTMLElement {
+      constructor() {
+        super();
+
+        this.grid = this.querySelector('[data-wishlist-grid]');
+        this.emptyState = this.querySelector('[data-wishlist-empty]');
+        this.toolbar = this.querySelector('[data-wishlist-toolbar]');
+        this.shareButton = this.querySelector('[data-wishlist-share]');
+        this.shareStatus = this.querySelector('[data-wishlist-share-status]');
+        this.sharedBanner = this.querySelector('[data-wishlist-shared]');
+        this.sharedItems = this.getSharedItems();
+
+        this.shareButton?.addEventListener('click', this.onShare.bind(this));
+        this.querySelector('[data-wishlist-save-shared]')?.addEventListener('click', this.onSaveShared.bind(this));
+      }
+
+      connectedCallback() {
+        if (this.sharedItems) {
+          this.sharedBanner.hidden = false;
+        } else {
+          this.wishlistUnsubscriber = FoxTheme.wishlist.subscribe(
+            FoxTheme.utils.debounce(this.render.bind(this), 300)
+          );
+        }
+
+        this.render();
+      }
+
+      disconnectedCallback() {
+        if (this.wishlistUnsubscriber) this.wishlistUnsubscriber();
+      }
+
+      getItems() {
+        return this.sharedItems || FoxTheme.wishlist.getItems();
+      }
+
+      /**
+       * Parse `?items=productId:variantId,...` from a shared link.
+       */
+      getSharedItems() {
+        const param = new URLSearchParams(window.location.search).get('items');
+        if (!param) return null;
+
+        return FoxTheme.wishlist.normalize(
+          param.split(',').map((entry, index) => {
+            const [productId, variantId] = entry.split(':');
+            return { productId, variantId, addedAt: Date.now() - index };
+          })
+        );
+      }
+
+      getQueryUrl(items) {
+        const queryParams = items
+          .slice(0, FoxTheme.wishlist.maxItems)
+          .map((item) => 'id:' + item.productId)
+          .join(' OR ');
+
+        return this.dataset.url + encodeURIComponent(queryParams);
+      }
+
+      getShareUrl() {
+        const url = new URL(FoxTheme.wishlist.settings.pageUrl || window.location.pathname, window.location.origin);
+        const items = this.getItems().map((item) =>
+          item.variantId ? `${item.productId}:${item.variantId}` : item.productId
+        );
+        url.searchParams.set('items', items.join(','));
+
+        return url.toString();
+      }
+
+      render() {
+        const items = this.getItems();
+        if (this.abortController) this.abortController.abort();
+
+        if (items.length === 0) {
+          this.grid.innerHTML = '';
+          this.toggleEmptyState(true);
+          return;
+        }
+
+        this.abortController = new AbortController();
+        this.setAttribute('aria-busy', 'true');
+
+        fetch(this.getQueryUrl(items), { signal: this.abortController.signal })
+          .then((response) => response.text())
+          .then((responseText) => {
+            const grid = new DOMParser()
+              .parseFromString(responseText, 'text/html')
+              .querySelector('wishlist-page [data-wishlist-grid]');
+            if (!grid) return;
+
+            this.grid.innerHTML = grid.innerHTML;
+            this.applyVariants(items);
+            this.toggleEmptyState(!this.grid.querySelector('.product-card'));
+          })
+          .catch((e) => {
+            if (e.name !== 'AbortError') console.error(e);
+          })
+          .finally(() => {
+            this.removeAttribute('aria-busy');
+          });
+      }
+
+      /**
+       * Point each card at the variant it was saved with.
+       */
+      applyVariants(items) {
+        items.forEach(({ productId, variantId }) => {
+          if (!variantId) return;
+
+          const button = this.grid.querySelector(`wishlist-button[data-product-id="${productId}"]`);
+          const card = button?.closest('.product-card');
+          if (!card) return;
+
+          button.dataset.variantId = variantId;
+          FoxTheme.utils.linkToVariant(card, variantId);
+        });
+      }
+
+      toggleEmptyState(empty) {
+        this.emptyState.hidden = !empty;
+        if (this.toolbar) this.toolbar.hidden = empty || Boolean(this.sharedItems);
+      }
+
+      async onShare() {
+        const url = this.getShareUrl();
+
+        if (navigator.share) {
+          try {
+            await navigator.share({ title: document.title, url });
+          } catch (e) {
+            if (e.name !== 'AbortError') console.error(e);
+          }
+          return;
+        }
+
+        try {
+          await navigator.clipboard.writeText(url);
+          this.shareStatus.textContent = FoxTheme.wishlistStrings.copied;
+          clearTimeout(this.shareStatusTimer);
+          this.shareStatusTimer = setTimeout(() => {
+            this.shareStatus.textContent = '';
+          }, 3000);
+        } catch (e) {
+          console.error(e);
+        }
+      }
+
+      onSaveShared() {
+        FoxTheme.wishlist.addAll(this.sharedItems);
+        window.location.href = FoxTheme.wishlist.settings.pageUrl || window.location.pathname;
+      }
+    }
+  );
+}